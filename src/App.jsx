@@ -1,129 +1,56 @@
-import React, { Suspense, useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { Canvas, useFrame } from "@react-three/fiber";
-import { OrbitControls, Html, Stars, useTexture } from "@react-three/drei";
+import React, { Suspense, useCallback, useContext, useEffect, useMemo, useRef, useState } from "react";
+import { Canvas, useFrame, useThree } from "@react-three/fiber";
+import { OrbitControls, Html, Line, Stars, useTexture } from "@react-three/drei";
 import * as THREE from "three";
+import { DeckError, getDeckNameFromUrl, loadDeck, localizeDeck } from "./deck.js";
+import { findEventIndex, formatHash, parseHash, pushHash, shouldSkipIntro } from "./router.js";
+import { generateQuiz, scoreGeoGuess, scoreOrder, selectDeckQuestions } from "./quizGenerator.js";
+import { addEntry, bestStreak, clearLeaderboard, createEntry, downloadFile, exportLeaderboard, importLeaderboard, loadLeaderboard } from "./leaderboard.js";
+import { analyzePredictions } from "./robotAnalysis.js";
+import { RATE_MAX, RATE_MIN, RATE_STEP, createNarrator, isSpeechSupported, loadNarrationSettings, saveNarrationSettings, voicesForLocale } from "./narrator.js";
+import { FULLY_REVEALED, createWordRevealer } from "./wordReveal.js";
+import { createAudioNarrator } from "./audioNarration.js";
+import { createLipSync } from "./lipSync.js";
+import { buildTranscript, toSRT, toWebVTT } from "./transcript.js";
+import { DWELL_MAX, DWELL_MIN, PAUSE_AFTER_NARRATION_MS, loadTourSettings, saveTourSettings, startTour } from "./tour.js";
+import { searchCommands, searchEvents } from "./search.js";
+import { attachGestures } from "./gestures.js";
+import { activateFocused, moveFocus, watchGamepads } from "./gamepad.js";
+import { DIGIT, createShortcutRegistry, keyLabel } from "./shortcuts.js";
+import { filterIndices, readTagsFromUrl, stepInFilter, usedCategories } from "./categories.js";
+import { locationAtYear, nearestEventIndex, positionToYear, yearRange, yearTicks, yearToPosition } from "./scrubber.js";
+import { QUALITY_MODES, QUALITY_TIERS, createFrameMonitor, loadQualitySettings, saveQualitySettings, stepTier } from "./quality.js";
+import { MAP_VIEWBOX, interpolate, project, routeSegments, shouldUseFlatMap, unproject } from "./flatMap.js";
+import { ATTRACT_INTERVAL_MS, clearRoute, lockDown, readKioskConfig, watchIdle } from "./kiosk.js";
+import { createEvent, deckIssues, importDeck, insertEvent, moveEvent, removeEvent, roundCoordinate, serializeDeck, setLocalizedText, updateEvent } from "./deckEditor.js";
+import { I18nProvider, LOCALES, getLocaleInfo, localize, pickVoice, useI18n } from "./i18n.jsx";
 
 /**
  * Timeline Tech — 3D Globe Demo
  * Stack: React + @react-three/fiber + drei
- * Features: rotating Earth, starfield moving with the planet, smooth transitions between 4 dates
+ * Features: rotating Earth, starfield moving with the planet, smooth transitions between dates
+ * Content: events, quiz and scenarios come from a JSON deck (`?deck=<name>`, see deck.js)
  * Instructions: `npm i three @react-three/fiber @react-three/drei`
  */
 
-// ---- 1) Your 4 dates + text (edit freely) ----------------------------------
-const EVENTS = [
-  {
-    year: 1950,
-    title: "Alan Turing et le Test de Turing",
-    text: "Dans \"Computing Machinery and Intelligence\", Turing propose son test d’imitation pour évaluer l’intelligence d’une machine et relance la question : les machines peuvent-elles penser ?",
-    location: "Manchester, Royaume-Uni",
-    accent: "#4ade80",
-    lon: -0.1, // Londres, Royaume-Uni
-    lat: 51.5,
-  },
-  {
-    year: 1966,
-    title: "Joseph Weizenbaum crée ELIZA",
-    text: "ELIZA simule un psychothérapeute à partir de mots-clés. Son illusion de compréhension révèle l'effet ELIZA et lance les débats éthiques sur la projection humaine dans les IA.",
-    location: "Cambridge, États-Unis",
-    accent: "#60a5fa",
-    lon: -71.094,
-    lat: 42.360,
-  },
-  {
-    year: 1997,
-    title: "Deep Blue bat Garry Kasparov",
-    text: "Le superordinateur d’IBM s'impose face au champion du monde d’échecs, prouvant qu’une machine peut surpasser l’humain par la puissance de calcul et relançant le débat sur la nature de l’intelligence.",
-    location: "New York, États-Unis",
-    accent: "#fcd34d",
-    lon: -73.985,
-    lat: 40.758,
-  },
-  {
-    year: 2024,
-    title: "L’Albanie expérimente une IA gouvernementale",
-    text: "Une IA assistante entre dans le processus décisionnel public albanais, posant des questions cruciales de transparence, de responsabilité et de légitimité démocratique face à la gouvernance algorithmique.",
-    location: "Tirana, Albanie",
-    accent: "#f472b6",
-    lon: 19.818,
-    lat: 41.328,
-  },
-];
-
+// ---- 1) Timeline content is loaded from public/decks/*.json (see deck.js) ---
 const AUTOPLAY_DURATION = 7200;
-
-// ---- Quiz Questions ---------------------------------------------------------
-const QUIZ_QUESTIONS = [
-  {
-    id: 1,
-    question: "En quelle année Alan Turing a-t-il proposé le Test de Turing ?",
-    options: ["1945", "1950", "1955", "1960"],
-    correct: 1,
-    explanation: "C'était en 1950 dans son article 'Computing Machinery and Intelligence'."
-  },
-  {
-    id: 2,
-    question: "Qui a créé ELIZA, le premier chatbot ?",
-    options: ["Alan Turing", "Joseph Weizenbaum", "Marvin Minsky", "John McCarthy"],
-    correct: 1,
-    explanation: "Joseph Weizenbaum a créé ELIZA en 1966 au MIT."
-  },
-  {
-    id: 3,
-    question: "Dans quelle ville Deep Blue a-t-il battu Kasparov ?",
-    options: ["San Francisco", "Boston", "New York", "Chicago"],
-    correct: 2,
-    explanation: "Le match historique s'est déroulé à New York en 1997."
-  },
-  {
-    id: 4,
-    question: "Quel pays a récemment expérimenté une IA gouvernementale ?",
-    options: ["Estonie", "Albanie", "Singapour", "Danemark"],
-    correct: 1,
-    explanation: "L'Albanie a intégré une IA dans son processus décisionnel en 2024."
-  }
-];
-
-// ---- Future Predictions -----------------------------------------------------
-const FUTURE_SCENARIOS = [
-  {
-    id: 1,
-    year: 2030,
-    scenario: "Les IA deviennent des assistants personnels obligatoires dans l'éducation",
-    impact: "positive",
-    icon: "🎓"
-  },
-  {
-    id: 2,
-    year: 2035,
-    scenario: "Une IA remporte le prix Nobel de médecine pour une découverte majeure",
-    impact: "positive",
-    icon: "🏆"
-  },
-  {
-    id: 3,
-    year: 2040,
-    scenario: "Les IA contrôlent 80% des décisions financières mondiales",
-    impact: "neutral",
-    icon: "💰"
-  },
-  {
-    id: 4,
-    year: 2045,
-    scenario: "Les IA obtiennent des droits juridiques dans certains pays",
-    impact: "controversial",
-    icon: "⚖️"
-  },
-  {
-    id: 5,
-    year: 2050,
-    scenario: "Première IA consciente d'elle-même officiellement reconnue",
-    impact: "revolutionary",
-    icon: "🧠"
-  }
-];
+const TRANSITION_SETTLE_MS = 400; // petit délai avant réapparition info
+// Kiosk settings ({ idleSeconds }) or null outside kiosk mode
+const KioskContext = React.createContext(null);
+// Keyboard shortcut registry of the running TimelineApp (see shortcuts.js)
+const ShortcutContext = React.createContext(null);
 
 // ---- 2) Helpers -------------------------------------------------------------
+// Registers `shortcuts` while the component is mounted, with the latest handlers
+function useShortcuts(id, shortcuts) {
+  const registry = useContext(ShortcutContext);
+  useEffect(() => {
+    registry?.set(id, shortcuts);
+  });
+  useEffect(() => () => registry?.remove(id), [registry, id]);
+}
+
 function degToRad(d) { return (d * Math.PI) / 180; }
 function lonLatToXYZ(lonDeg, latDeg, radius) {
   // Three.js sphere is Y-up. Convert lon/lat to 3D position on sphere.
@@ -136,6 +63,14 @@ function lonLatToXYZ(lonDeg, latDeg, radius) {
   return new THREE.Vector3(x, y, z);
 }
 
+// Inverse of lonLatToXYZ, for a point expressed in the globe's local space
+function xyzToLonLat(point) {
+  const radius = point.length() || 1;
+  const lat = THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(point.y / radius, -1, 1)));
+  const lon = THREE.MathUtils.radToDeg(Math.atan2(point.x, point.z));
+  return { lon, lat };
+}
+
 // Smoothly damp a value toward a target
 function damp(current, target, lambda, dt) {
   return THREE.MathUtils.damp(current, target, lambda, dt);
@@ -167,7 +102,144 @@ function createCurvePoints(lon1, lat1, lon2, lat2, radius = 1.01) {
 }
 
 // ---- 3) Globe component -----------------------------------------------------
-function Globe({ targetLon = 0, targetLat = 0, spinDirection = 0, accent = "#ff5454", allEvents = [], currentIndex = 0, reduceMotion = false, extraRotations = 0 }) {
+const MARKER_RADIUS = 1.02;
+
+// Pointer events reach every intersected object: only react when the marker is the
+// closest hit, so markers on the far side of the planet stay unclickable
+function isFrontmostHit(e, index) {
+  return e.intersections.length > 0 && e.intersections[0].object.userData.markerIndex === index;
+}
+
+function EventMarker({ event, index, active, onSelect, markerRef, glowRef }) {
+  const [hovered, setHovered] = useState(false);
+  const position = useMemo(() => lonLatToXYZ(event.lon, event.lat, MARKER_RADIUS), [event.lon, event.lat]);
+  const color = event.accent || "#ffffff";
+
+  useEffect(() => () => { document.body.style.cursor = ""; }, []);
+
+  const handleOver = (e) => {
+    if (!isFrontmostHit(e, index)) return;
+    e.stopPropagation();
+    setHovered(true);
+    document.body.style.cursor = "pointer";
+  };
+  const handleOut = () => {
+    setHovered(false);
+    document.body.style.cursor = "";
+  };
+  const handleClick = (e) => {
+    if (!isFrontmostHit(e, index)) return;
+    e.stopPropagation();
+    if (onSelect) onSelect(index);
+  };
+
+  return (
+    <group position={position} onPointerOver={handleOver} onPointerOut={handleOut} onClick={handleClick}>
+      {/* key forces a fresh mesh so the pulse scale does not linger once inactive */}
+      <mesh key={active ? "core-active" : "core"} ref={active ? markerRef : undefined} userData={{ markerIndex: index }}>
+        <sphereGeometry args={[active ? 0.022 : 0.016, 16, 16]} />
+        <meshBasicMaterial color={color} transparent opacity={active || hovered ? 1 : 0.45} />
+      </mesh>
+      <mesh key={active ? "glow-active" : "glow"} ref={active ? glowRef : undefined} userData={{ markerIndex: index }}>
+        <sphereGeometry args={[0.04, 16, 16]} />
+        <meshBasicMaterial color={color} transparent opacity={active ? 0.35 : hovered ? 0.25 : 0.08} depthWrite={false} />
+      </mesh>
+      {hovered && (
+        <Html center position={[0, 0, 0]} style={{ pointerEvents: 'none' }} zIndexRange={[20, 0]}>
+          <div
+            className="whitespace-nowrap -translate-y-8 px-3 py-1.5 rounded-full bg-black/80 border text-xs text-white shadow-lg"
+            style={{ borderColor: color }}
+          >
+            <span className="font-bold mr-2" style={{ color }}>{event.year}</span>
+            {event.title}
+          </div>
+        </Html>
+      )}
+    </group>
+  );
+}
+
+// Faint chronological path linking every event, in year order
+function TimelinePath({ events }) {
+  const segments = useMemo(() => {
+    const ordered = [...events].sort((a, b) => a.year - b.year);
+    return ordered.slice(1).map((to, i) => {
+      const from = ordered[i];
+      return createCurvePoints(from.lon, from.lat, to.lon, to.lat);
+    });
+  }, [events]);
+
+  return (
+    <>
+      {segments.map((points, i) => (
+        <Line key={i} points={points} color="#ffffff" lineWidth={1} transparent opacity={0.18} depthWrite={false} />
+      ))}
+    </>
+  );
+}
+
+// Glowing segment drawn from the previous event to the new one while the HoloClock runs
+function TravelArc({ from, to, progress, accent }) {
+  const points = useMemo(
+    () => (from && to ? createCurvePoints(from.lon, from.lat, to.lon, to.lat) : []),
+    [from, to]
+  );
+  if (points.length < 2) return null;
+
+  // Ease in/out so the head lingers on departure and arrival like the clock
+  const eased = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+  const count = Math.max(2, Math.round(eased * (points.length - 1)) + 1);
+  const visible = points.slice(0, count);
+  const head = visible[visible.length - 1];
+
+  return (
+    <group>
+      <Line points={visible} color={accent} lineWidth={4} transparent opacity={0.25} depthWrite={false} />
+      <Line points={visible} color={accent} lineWidth={1.6} transparent opacity={0.95} depthWrite={false} />
+      <mesh position={head}>
+        <sphereGeometry args={[0.014, 12, 12]} />
+        <meshBasicMaterial color="#ffffff" />
+      </mesh>
+      <mesh position={head}>
+        <sphereGeometry args={[0.03, 12, 12]} />
+        <meshBasicMaterial color={accent} transparent opacity={0.4} depthWrite={false} />
+      </mesh>
+    </group>
+  );
+}
+
+// Geo-pin quiz: player's guess, the answer once revealed, and the arc between them
+function GeoPins({ geo }) {
+  const { guess, target, revealed } = geo;
+  const arc = useMemo(
+    () => (guess && revealed ? createCurvePoints(guess.lon, guess.lat, target.lon, target.lat) : null),
+    [guess, target, revealed]
+  );
+  const guessPosition = useMemo(() => guess && lonLatToXYZ(guess.lon, guess.lat, MARKER_RADIUS), [guess]);
+  const targetPosition = useMemo(() => lonLatToXYZ(target.lon, target.lat, MARKER_RADIUS), [target]);
+
+  useEffect(() => () => { document.body.style.cursor = ""; }, []);
+
+  return (
+    <>
+      {guessPosition && (
+        <mesh position={guessPosition}>
+          <sphereGeometry args={[0.02, 16, 16]} />
+          <meshBasicMaterial color="#ffffff" />
+        </mesh>
+      )}
+      {revealed && (
+        <mesh position={targetPosition}>
+          <sphereGeometry args={[0.024, 16, 16]} />
+          <meshBasicMaterial color="#22c55e" />
+        </mesh>
+      )}
+      {arc && <Line points={arc} color="#fcd34d" lineWidth={2} dashed dashSize={0.03} gapSize={0.015} />}
+    </>
+  );
+}
+
+function Globe({ targetLon = 0, targetLat = 0, spinDirection = 0, accent = "#ff5454", allEvents = [], visibleIndices = null, currentIndex = 0, reduceMotion = false, extraRotations = 0, onSelectEvent, travel = null, geo = null, onGeoGuess, onPickLocation, quality = QUALITY_TIERS.high }) {
   const group = useRef(null);
   const earthMesh = useRef(null);
   const markerRef = useRef(null);
@@ -242,29 +314,75 @@ function Globe({ targetLon = 0, targetLat = 0, spinDirection = 0, accent = "#ff5
       cloudsRef.current.rotation.y += dt * 0.01;
     }
 
-    // Pulsations ignorées (pas de marker)
+    // Pulsation du marker courant
+    const t = state.clock.elapsedTime;
+    if (markerRef.current) {
+      markerRef.current.scale.setScalar(reduceMotion ? 1 : 1 + Math.sin(t * 4) * 0.15);
+    }
+    if (glowRef.current) {
+      const pulse = reduceMotion ? 0.5 : (Math.sin(t * 2.5) + 1) / 2;
+      glowRef.current.scale.setScalar(1 + pulse * 0.8);
+      glowRef.current.material.opacity = 0.45 - pulse * 0.3;
+    }
   });
 
+  // Clicking the planet: geo quiz guess, or event placement in the editor
+  const onEarthClick = geo ? (!geo.revealed ? onGeoGuess : null) : onPickLocation;
+
   return (
     <group rotation={[Math.PI / 2, 0, 0]} scale={0.76} position={[-0.31, 0, 0]}>
       <group ref={group}>
         {/* Terre */}
-        <mesh ref={earthMesh}>
-          <sphereGeometry args={[1, 128, 128]} />
+        <mesh
+          ref={earthMesh}
+          onClick={onEarthClick ? (e) => {
+            e.stopPropagation();
+            onEarthClick(xyzToLonLat(group.current.worldToLocal(e.point.clone())));
+          } : undefined}
+          onPointerOver={onEarthClick ? () => { document.body.style.cursor = "crosshair"; } : undefined}
+          onPointerOut={geo || onPickLocation ? () => { document.body.style.cursor = ""; } : undefined}
+        >
+          <sphereGeometry args={[1, quality.segments, quality.segments]} />
           <meshPhongMaterial map={colorMap} normalMap={normalMap} specularMap={specMap} shininess={8} />
         </mesh>
-        {/* Nuages */}
-        <mesh ref={cloudsRef}>
-          <sphereGeometry args={[1.01, 128, 128]} />
-          <meshPhongMaterial map={cloudsMap} transparent opacity={0.35} depthWrite={false} />
-        </mesh>
+        {/* Nuages (désactivés en qualité basse) */}
+        {quality.clouds && (
+          <mesh ref={cloudsRef}>
+            <sphereGeometry args={[1.01, quality.segments, quality.segments]} />
+            <meshPhongMaterial map={cloudsMap} transparent opacity={0.35} depthWrite={false} />
+          </mesh>
+        )}
+        {/* Quiz géographique : les markers trahiraient la réponse */}
+        {geo && <GeoPins geo={geo} />}
+        {/* Chemin chronologique + trajet animé pendant la transition */}
+        {!geo && <TimelinePath events={visibleIndices ? visibleIndices.map((index) => allEvents[index]) : allEvents} />}
+        {travel && travel.active && (
+          <TravelArc
+            from={allEvents[travel.fromIndex]}
+            to={allEvents[currentIndex]}
+            progress={reduceMotion ? 1 : travel.progress}
+            accent={accent}
+          />
+        )}
+        {/* Markers des événements */}
+        {!geo && allEvents.map((item, index) => (!visibleIndices || visibleIndices.includes(index)) && (
+          <EventMarker
+            key={`${item.year}-${index}`}
+            event={item}
+            index={index}
+            active={index === currentIndex}
+            onSelect={onSelectEvent}
+            markerRef={markerRef}
+            glowRef={glowRef}
+          />
+        ))}
       </group>
     </group>
   );
 }
 
 // ---- 4) Starfield wrapper that follows planet rotation ----------------------
-function Starfield({ followRef }) {
+function Starfield({ followRef, count = 8000 }) {
   const starsGroup = useRef(null);
   useFrame(() => {
     if (followRef.current && starsGroup.current) {
@@ -274,15 +392,16 @@ function Starfield({ followRef }) {
   });
   return (
     <group ref={starsGroup}>
-      <Stars radius={100} depth={50} count={8000} factor={6} saturation={0} fade={false} speed={0} />
+      <Stars radius={100} depth={50} count={count} factor={6} saturation={0} fade={false} speed={0} />
     </group>
   );
 }
 
 // ---- 5) Information panel overlay ------------------------------------------
-function InfoPanel({ event, sentences, wordsProgress }) {
+function InfoPanel({ event, sentences, wordsProgress, categories = {} }) {
   const accent = event.accent || "#ffffff";
   const accentShadow = `${accent}55`;
+  const { t } = useI18n();
   return (
     <div className="w-full">
       <div
@@ -290,8 +409,21 @@ function InfoPanel({ event, sentences, wordsProgress }) {
         style={{ borderColor: accent, boxShadow: `0 28px 60px -34px ${accentShadow}` }}
       >
         <div>
-          <p className="uppercase text-xs tracking-widest text-white/50">Événement</p>
+          <p className="uppercase text-xs tracking-widest text-white/50">{t("info.event")}</p>
           <h2 className="text-lg md:text-xl font-semibold leading-snug mt-1">{event.title}</h2>
+          {event.tags?.length > 0 && (
+            <ul className="mt-2 flex flex-wrap gap-1.5" aria-label={t("categories.label")}>
+              {event.tags.filter((tag) => categories[tag]).map((tag) => (
+                <li
+                  key={tag}
+                  className="rounded-full border px-2 py-0.5 text-[11px] font-medium"
+                  style={{ borderColor: `${categories[tag].color}99`, backgroundColor: `${categories[tag].color}22`, color: categories[tag].color }}
+                >
+                  {categories[tag].label}
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
         {event.location && (
           <div className="mt-4 flex items-center gap-2 text-sm text-white/70">
@@ -305,7 +437,7 @@ function InfoPanel({ event, sentences, wordsProgress }) {
           </div>
         )}
         <div className="mt-6">
-          <p className="uppercase text-xs tracking-widest text-white/50">À retenir</p>
+          <p className="uppercase text-xs tracking-widest text-white/50">{t("info.keyPoints")}</p>
           <ul className="mt-3 space-y-3 text-sm leading-relaxed text-white/80">
             {sentences.map((sentence, index) => {
               const split = sentence.split(/\s+/);
@@ -325,12 +457,70 @@ function InfoPanel({ event, sentences, wordsProgress }) {
   );
 }
 
+// Sous-titres : la phrase en cours de lecture, en bas de l'écran
+function CaptionStrip({ text, accent }) {
+  if (!text) return null;
+  return (
+    <div className="fixed bottom-28 left-1/2 -translate-x-1/2 z-[60] w-[min(90vw,720px)] pointer-events-none" role="status" aria-live="polite">
+      <p
+        className="mx-auto w-fit max-w-full rounded-xl bg-black/85 px-4 py-2 text-center text-base md:text-lg leading-snug text-white shadow-lg border-b-2"
+        style={{ borderColor: accent }}
+      >
+        {text}
+      </p>
+    </div>
+  );
+}
+
 // ---- 5b) Robot narrator (SVG) -----------------------------------------------
-function RobotHead({ speaking = false, mouth = 0.2, accent = "#ffffff" }) {
+// Expressions par événement : sourcils (px), ouverture des yeux, joues
+const ROBOT_EXPRESSIONS = {
+  neutral: { browLift: 0, browTilt: 0, browAsym: 0, eyeOpen: 1, cheeks: 0.4 },
+  happy: { browLift: 2, browTilt: 0, browAsym: 0, eyeOpen: 0.7, cheeks: 0.8 },
+  surprised: { browLift: 5, browTilt: 0, browAsym: 0, eyeOpen: 1.3, cheeks: 0.3 },
+  thinking: { browLift: 1, browTilt: 1, browAsym: 4, eyeOpen: 0.85, cheeks: 0.3 },
+  concerned: { browLift: 1, browTilt: -3, browAsym: 0, eyeOpen: 0.9, cheeks: 0.2 },
+};
+const BLINK_MS = 140;
+const blinkDelay = () => 2500 + Math.random() * 3500;
+
+// Mouth (lip sync) and blinks are written straight to the SVG from a rAF loop,
+// so speaking never re-renders the app
+function RobotHead({ speaking = false, lipSync = null, expression = "neutral", accent = "#ffffff" }) {
   const eyeColor = "#9ca3af"; // neutral gray
   const stroke = "#e5e7eb";
-  const mouthHeight = Math.max(0, Math.min(1, mouth));
-  const mouthOpen = 2 + mouthHeight * 10; // 2 to 12 px
+  const preset = ROBOT_EXPRESSIONS[expression] || ROBOT_EXPRESSIONS.neutral;
+  const mouthRef = useRef(null);
+  const leftEyeRef = useRef(null);
+  const rightEyeRef = useRef(null);
+  const eyeOpenRef = useRef(preset.eyeOpen);
+  eyeOpenRef.current = preset.eyeOpen;
+
+  useEffect(() => {
+    let frame = null;
+    let blinkAt = performance.now() + blinkDelay();
+    const animate = (now) => {
+      frame = requestAnimationFrame(animate);
+      const open = lipSync ? lipSync.sample(now) : 0.15;
+      const mouthOpen = 2 + Math.max(0, Math.min(1, open)) * 10; // 2 to 12 px
+      mouthRef.current?.setAttribute("y", 68 - mouthOpen / 2);
+      mouthRef.current?.setAttribute("height", mouthOpen);
+      // Blink: eyelids close then reopen over BLINK_MS
+      let lid = 1;
+      if (now >= blinkAt) {
+        const phase = (now - blinkAt) / BLINK_MS;
+        if (phase >= 1) blinkAt = now + blinkDelay();
+        else lid = Math.max(0.1, Math.abs(1 - 2 * phase));
+      }
+      const ry = 6 * eyeOpenRef.current * lid;
+      leftEyeRef.current?.setAttribute("ry", ry);
+      rightEyeRef.current?.setAttribute("ry", ry);
+    };
+    frame = requestAnimationFrame(animate);
+    return () => cancelAnimationFrame(frame);
+  }, [lipSync]);
+
+  const browY = 25 - preset.browLift;
   return (
     <div className="flex justify-center mb-4 select-none" aria-hidden="true">
       <svg width="100" height="100" viewBox="0 0 120 120">
@@ -344,16 +534,21 @@ function RobotHead({ speaking = false, mouth = 0.2, accent = "#ffffff" }) {
           <rect x="10" y="18" width="100" height="90" rx="16" fill="url(#robotGrad)" stroke={stroke} opacity="0.9" />
           <rect x="24" y="30" width="72" height="16" rx="8" fill="#0b1220" stroke="#1f2937" />
           {/* Eyes */}
-          <circle cx="44" cy="38" r="6" fill={eyeColor} />
-          <circle cx="76" cy="38" r="6" fill={eyeColor} />
+          <ellipse ref={leftEyeRef} cx="44" cy="38" rx="6" ry={6 * preset.eyeOpen} fill={eyeColor} />
+          <ellipse ref={rightEyeRef} cx="76" cy="38" rx="6" ry={6 * preset.eyeOpen} fill={eyeColor} />
+          {/* Eyebrows: tilt > 0 lowers the inner ends, asym raises the right one */}
+          <g stroke={stroke} strokeWidth="2" strokeLinecap="round" opacity="0.8" style={{ transition: "all .4s ease" }}>
+            <line x1="37" y1={browY - preset.browTilt} x2="51" y2={browY + preset.browTilt} />
+            <line x1="69" y1={browY + preset.browTilt - preset.browAsym} x2="83" y2={browY - preset.browTilt - preset.browAsym} />
+          </g>
           {/* Antenna */}
           <line x1="60" y1="10" x2="60" y2="18" stroke={stroke} strokeWidth="2" />
           <circle cx="60" cy="10" r="4" fill={accent} />
           {/* Mouth */}
-          <rect x="36" y={68 - mouthOpen / 2} width="48" height={mouthOpen} rx="4" fill={accent} opacity={speaking ? 0.9 : 0.4} />
+          <rect ref={mouthRef} x="36" y="65" width="48" height="6" rx="4" fill={accent} opacity={speaking ? 0.9 : 0.4} />
           {/* Cheeks */}
-          <circle cx="30" cy="64" r="4" fill={accent} opacity="0.4" />
-          <circle cx="90" cy="64" r="4" fill={accent} opacity="0.4" />
+          <circle cx="30" cy="64" r="4" fill={accent} opacity={preset.cheeks} />
+          <circle cx="90" cy="64" r="4" fill={accent} opacity={preset.cheeks} />
         </g>
       </svg>
     </div>
@@ -361,23 +556,178 @@ function RobotHead({ speaking = false, mouth = 0.2, accent = "#ffffff" }) {
 }
 
 // ---- Quiz Component ---------------------------------------------------------
-function QuizGame({ onComplete, accent }) {
+const QUESTION_TIME = 15;
+
+function moveItem(list, from, to) {
+  if (to < 0 || to >= list.length || from === to) return list;
+  const copy = list.slice();
+  const [item] = copy.splice(from, 1);
+  copy.splice(to, 0, item);
+  return copy;
+}
+
+// Chronological ordering: drag-and-drop, or keyboard (Space to grab, ↑ ↓ to move)
+function OrderQuestion({ items, arrangement, onChange, solution, revealed, accent }) {
+  const { t } = useI18n();
+  const [dragKey, setDragKey] = useState(null);
+  const [grabbedKey, setGrabbedKey] = useState(null);
+  const [announcement, setAnnouncement] = useState("");
+  const cardRefs = useRef({});
+  const byKey = useMemo(() => Object.fromEntries(items.map((item) => [item.key, item])), [items]);
+
+  // Keep focus on the card being moved with the keyboard
+  useEffect(() => {
+    if (grabbedKey && cardRefs.current[grabbedKey]) cardRefs.current[grabbedKey].focus();
+  }, [arrangement, grabbedKey]);
+
+  const move = (key, to) => {
+    const from = arrangement.indexOf(key);
+    const next = moveItem(arrangement, from, to);
+    if (next === arrangement) return;
+    onChange(next);
+    setAnnouncement(t("quiz.moved", { title: byKey[key].title, position: next.indexOf(key) + 1, total: next.length }));
+  };
+
+  const handleKeyDown = (e, key) => {
+    if (revealed) return;
+    const position = arrangement.indexOf(key);
+    if (e.key === " " || e.key === "Enter") {
+      e.preventDefault();
+      if (grabbedKey === key) {
+        setGrabbedKey(null);
+        setAnnouncement(t("quiz.dropped", { title: byKey[key].title, position: position + 1 }));
+      } else {
+        setGrabbedKey(key);
+        setAnnouncement(t("quiz.grabbed", { title: byKey[key].title, position: position + 1, total: arrangement.length }));
+      }
+    } else if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+      e.preventDefault();
+      const delta = e.key === "ArrowUp" ? -1 : 1;
+      if (grabbedKey === key) {
+        move(key, position + delta);
+      } else {
+        const sibling = arrangement[position + delta];
+        if (sibling && cardRefs.current[sibling]) cardRefs.current[sibling].focus();
+      }
+    } else if (e.key === "Escape" && grabbedKey) {
+      e.preventDefault();
+      setGrabbedKey(null);
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      {!revealed && <p className="text-sm text-white/50 mb-3">{t("quiz.orderHint")}</p>}
+      <ol className="space-y-3" aria-label={t("quizgen.order")}>
+        {arrangement.map((key, position) => {
+          const item = byKey[key];
+          const placedRight = solution[position] === key;
+          let cardClass = "flex items-center gap-3 w-full p-4 rounded-xl border-2 text-left transition-all duration-200 ";
+          if (revealed) cardClass += placedRight ? "border-green-500 bg-green-500/20" : "border-red-500 bg-red-500/20";
+          else if (grabbedKey === key) cardClass += "scale-[1.02] bg-white/10";
+          else if (dragKey === key) cardClass += "opacity-40 border-white/20";
+          else cardClass += "border-white/20 hover:border-white/40 hover:bg-white/5 cursor-grab";
+
+          return (
+            <li
+              key={key}
+              ref={(node) => { cardRefs.current[key] = node; }}
+              tabIndex={revealed ? -1 : 0}
+              draggable={!revealed}
+              aria-grabbed={grabbedKey === key}
+              onKeyDown={(e) => handleKeyDown(e, key)}
+              onDragStart={(e) => { setDragKey(key); e.dataTransfer.effectAllowed = "move"; e.dataTransfer.setData("text/plain", key); }}
+              onDragEnd={() => setDragKey(null)}
+              onDragOver={(e) => {
+                e.preventDefault();
+                if (dragKey && dragKey !== key) move(dragKey, position);
+              }}
+              onDrop={(e) => { e.preventDefault(); setDragKey(null); }}
+              className={cardClass}
+              style={{ borderColor: !revealed && grabbedKey === key ? accent : undefined }}
+            >
+              <span className="w-6 text-white/40 font-bold">{position + 1}</span>
+              <span className="h-2.5 w-2.5 rounded-full shrink-0" style={{ backgroundColor: item.accent || accent }} />
+              <span className="flex-1 text-white font-medium">{item.title}</span>
+              {revealed ? (
+                <span className="font-bold" style={{ color: item.accent || accent }}>{item.year}</span>
+              ) : (
+                <span className="flex gap-1">
+                  <button
+                    type="button"
+                    tabIndex={-1}
+                    onClick={() => move(key, position - 1)}
+                    disabled={position === 0}
+                    aria-label={t("quiz.moveUp", { title: item.title })}
+                    className="h-8 w-8 rounded-full border border-white/15 text-white/70 hover:bg-white/10 disabled:opacity-30"
+                  >↑</button>
+                  <button
+                    type="button"
+                    tabIndex={-1}
+                    onClick={() => move(key, position + 1)}
+                    disabled={position === arrangement.length - 1}
+                    aria-label={t("quiz.moveDown", { title: item.title })}
+                    className="h-8 w-8 rounded-full border border-white/15 text-white/70 hover:bg-white/10 disabled:opacity-30"
+                  >↓</button>
+                </span>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+      <p className="sr-only" aria-live="assertive">{announcement}</p>
+    </div>
+  );
+}
+
+function QuizTimer({ timeLeft, timeLimit, accent }) {
+  const { t } = useI18n();
+  const color = timeLeft < 6 ? '#ef4444' : accent;
+  return (
+    <div className="mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm text-white/60">{t("quiz.timeLeft")}</span>
+        <span className="text-2xl font-bold" style={{ color }}>
+          {timeLeft}s
+        </span>
+      </div>
+      <div className="h-2 bg-white/10 rounded-full overflow-hidden">
+        <div 
+          className="h-full transition-all duration-1000 ease-linear rounded-full"
+          style={{ 
+            width: `${(timeLeft / timeLimit) * 100}%`,
+            backgroundColor: color
+          }}
+        />
+      </div>
+    </div>
+  );
+}
+
+function QuizGame({ questions, onComplete, accent, deckName, geo = null, onGeoChange }) {
+  const { t } = useI18n();
   const [currentQuestion, setCurrentQuestion] = useState(0);
   const [selectedAnswer, setSelectedAnswer] = useState(null);
   const [showExplanation, setShowExplanation] = useState(false);
-  const [score, setScore] = useState(0);
-  const [timeLeft, setTimeLeft] = useState(15);
+  const [results, setResults] = useState([]); // per-question { question, correct, points }
+  const [timeLeft, setTimeLeft] = useState(questions[0].timeLimit || QUESTION_TIME);
+  const [arrangement, setArrangement] = useState(() => (questions[0].items || []).map((item) => item.key));
   const [isAnswered, setIsAnswered] = useState(false);
+  const [finished, setFinished] = useState(false);
+  const [geoResult, setGeoResult] = useState(null);
 
-  const question = QUIZ_QUESTIONS[currentQuestion];
-  const isLastQuestion = currentQuestion === QUIZ_QUESTIONS.length - 1;
+  const score = results.reduce((sum, result) => sum + (result ? result.points : 0), 0);
+  const question = questions[currentQuestion];
+  const isLastQuestion = currentQuestion === questions.length - 1;
+  const isGeo = question.type === 'geo' && !finished && !!onGeoChange;
+  const timeoutRef = useRef(null);
 
   useEffect(() => {
     if (isAnswered) return;
     const timer = setInterval(() => {
       setTimeLeft(prev => {
         if (prev <= 1) {
-          handleTimeout();
+          timeoutRef.current();
           return 0;
         }
         return prev - 1;
@@ -386,40 +736,153 @@ function QuizGame({ onComplete, accent }) {
     return () => clearInterval(timer);
   }, [currentQuestion, isAnswered]);
 
+  // Keyed by question index so a repeated call (StrictMode updaters) stays idempotent
+  const recordResult = (correct, points) => {
+    setResults(prev => {
+      const next = prev.slice();
+      next[currentQuestion] = { question: question.question, correct, points };
+      return next;
+    });
+  };
+
+  const revealGeo = () => onGeoChange(prev => prev && { ...prev, revealed: true });
+
   const handleTimeout = () => {
+    recordResult(question.type === 'order' && scoreOrder(arrangement, question.solution) === 1, 0);
+    if (isGeo) revealGeo();
     setIsAnswered(true);
     setShowExplanation(true);
   };
+  // The interval outlives renders: always call the latest handler (current arrangement…)
+  timeoutRef.current = handleTimeout;
+
+  // Hand the globe over to the player for "where did it happen?" questions
+  useEffect(() => {
+    if (!onGeoChange) return;
+    onGeoChange(isGeo ? { target: { lon: question.lon, lat: question.lat }, guess: null, revealed: false } : null);
+  }, [currentQuestion, isGeo]);
+
+  useEffect(() => () => { if (onGeoChange) onGeoChange(null); }, []);
+
+  // A pin was dropped on the globe: score it by distance and reveal the answer
+  const geoGuess = geo && geo.guess;
+  useEffect(() => {
+    if (!isGeo || isAnswered || !geoGuess) return;
+    const result = scoreGeoGuess(geoGuess, question);
+    setGeoResult(result);
+    setIsAnswered(true);
+    recordResult(result.correct, Math.round(result.ratio * timeLeft * 10));
+    revealGeo();
+    setShowExplanation(true);
+  }, [geoGuess]);
 
   const handleAnswer = (index) => {
     if (isAnswered) return;
     setSelectedAnswer(index);
     setIsAnswered(true);
-    if (index === question.correct) {
-      setScore(prev => prev + timeLeft * 10);
-    }
+    const correct = index === question.correct;
+    recordResult(correct, correct ? timeLeft * 10 : 0);
+    setShowExplanation(true);
+  };
+
+  // Partial credit: share of cards at their chronological position
+  const handleOrderSubmit = () => {
+    if (isAnswered) return;
+    setIsAnswered(true);
+    const ratio = scoreOrder(arrangement, question.solution);
+    recordResult(ratio === 1, Math.round(ratio * timeLeft * 10));
     setShowExplanation(true);
   };
 
   const handleNext = () => {
     if (isLastQuestion) {
-      onComplete(score + (selectedAnswer === question.correct ? timeLeft * 10 : 0));
+      setFinished(true);
     } else {
+      const nextQuestion = questions[currentQuestion + 1];
       setCurrentQuestion(prev => prev + 1);
       setSelectedAnswer(null);
       setShowExplanation(false);
-      setTimeLeft(15);
+      setTimeLeft(nextQuestion.timeLimit || QUESTION_TIME);
+      setArrangement((nextQuestion.items || []).map((item) => item.key));
+      setGeoResult(null);
       setIsAnswered(false);
     }
   };
 
+  useShortcuts("quiz", [
+    {
+      keys: [DIGIT],
+      modes: ["quiz"],
+      label: "shortcuts.answer",
+      enabled: !finished && !isAnswered && !!question.options,
+      run: (digit) => { if (digit <= question.options.length) handleAnswer(digit - 1); },
+    },
+    { keys: ["Enter"], modes: ["quiz"], label: "shortcuts.nextQuestion", enabled: !finished && showExplanation, run: handleNext },
+  ]);
+
+  if (finished) {
+    return (
+      <QuizSummary
+        score={score}
+        results={results.filter(Boolean)}
+        accent={accent}
+        deckName={deckName}
+        onContinue={() => onComplete(score)}
+      />
+    );
+  }
+
+  const nextButton = (
+    <button
+      onClick={handleNext}
+      className="w-full py-4 rounded-xl font-bold text-lg transition-all hover:scale-105"
+      style={{ 
+        backgroundColor: accent,
+        color: '#000',
+        boxShadow: `0 10px 30px -10px ${accent}88`
+      }}
+    >
+      {isLastQuestion ? t("quiz.seeScore") : t("quiz.next")}
+    </button>
+  );
+
+  // Geo question: compact panel at the top, the globe stays clickable underneath
+  if (isGeo) {
+    return (
+      <div className="fixed inset-x-0 top-4 z-50 flex justify-center px-4 pointer-events-none" data-gamepad-scope>
+        <div
+          className="pointer-events-auto w-full max-w-xl bg-black/75 backdrop-blur rounded-3xl p-6 border-2 shadow-2xl"
+          style={{ borderColor: accent, boxShadow: `0 28px 60px -20px ${accent}55` }}
+        >
+          <div className="mb-4 flex items-center justify-between text-sm text-white/60">
+            <span>{t("quiz.progress", { current: currentQuestion + 1, total: questions.length })}</span>
+            <span className="font-bold" style={{ color: accent }}>{t("quiz.score", { score })}</span>
+          </div>
+          <h2 className="text-xl font-bold text-white mb-4">{question.question}</h2>
+          <QuizTimer timeLeft={timeLeft} timeLimit={question.timeLimit || QUESTION_TIME} accent={accent} />
+          {!showExplanation ? (
+            <p className="text-sm text-white/60">{t("quiz.geoHint")}</p>
+          ) : (
+            <div className="animate-fadeIn">
+              <p className="mb-2 font-bold" style={{ color: accent }}>
+                {geoResult ? t("quiz.geoDistance", { distance: Math.round(geoResult.distanceKm).toLocaleString() }) : t("quiz.geoMissed")}
+              </p>
+              <p className="text-white/80 mb-4">{question.explanation}</p>
+              {nextButton}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   return (
-    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/90 backdrop-blur-md">
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/90 backdrop-blur-md" data-gamepad-scope>
       <div className="w-full max-w-2xl mx-4">
         {/* Progress bar */}
         <div className="mb-6 flex items-center justify-between text-sm text-white/60">
-          <span>Question {currentQuestion + 1}/{QUIZ_QUESTIONS.length}</span>
-          <span className="font-bold" style={{ color: accent }}>Score: {score}</span>
+          <span>{t("quiz.progress", { current: currentQuestion + 1, total: questions.length })}</span>
+          <span className="font-bold" style={{ color: accent }}>{t("quiz.score", { score })}</span>
         </div>
 
         {/* Question card */}
@@ -428,66 +891,86 @@ function QuizGame({ onComplete, accent }) {
           style={{ borderColor: accent, boxShadow: `0 28px 60px -20px ${accent}55` }}
         >
           {/* Timer */}
-          <div className="mb-6">
-            <div className="flex items-center justify-between mb-2">
-              <span className="text-sm text-white/60">Temps restant</span>
-              <span className="text-2xl font-bold" style={{ color: timeLeft < 6 ? '#ef4444' : accent }}>
-                {timeLeft}s
-              </span>
-            </div>
-            <div className="h-2 bg-white/10 rounded-full overflow-hidden">
-              <div 
-                className="h-full transition-all duration-1000 ease-linear rounded-full"
-                style={{ 
-                  width: `${(timeLeft / 15) * 100}%`,
-                  backgroundColor: timeLeft < 6 ? '#ef4444' : accent
-                }}
-              />
-            </div>
-          </div>
+          <QuizTimer timeLeft={timeLeft} timeLimit={question.timeLimit || QUESTION_TIME} accent={accent} />
 
           {/* Question */}
           <h2 className="text-2xl font-bold text-white mb-6">{question.question}</h2>
 
+          {/* Ordering question */}
+          {question.type === 'order' && (
+            <>
+              <OrderQuestion
+                items={question.items}
+                arrangement={arrangement}
+                onChange={setArrangement}
+                solution={question.solution}
+                revealed={showExplanation}
+                accent={accent}
+              />
+              {!isAnswered && (
+                <button
+                  onClick={handleOrderSubmit}
+                  className="w-full mb-6 py-4 rounded-xl font-bold text-lg border-2 transition-all hover:scale-105"
+                  style={{ borderColor: accent, color: accent }}
+                >
+                  {t("quiz.orderSubmit")}
+                </button>
+              )}
+              {showExplanation && (
+                <p className="mb-3 text-center font-bold" style={{ color: accent }}>
+                  {t("quiz.orderResult", {
+                    correct: arrangement.filter((key, position) => key === question.solution[position]).length,
+                    total: question.solution.length,
+                  })}
+                </p>
+              )}
+            </>
+          )}
+
           {/* Options */}
-          <div className="space-y-3 mb-6">
-            {question.options.map((option, index) => {
-              const isCorrect = index === question.correct;
-              const isSelected = index === selectedAnswer;
-              const showResult = showExplanation;
-
-              let buttonClass = "w-full p-4 rounded-xl border-2 text-left transition-all duration-300 ";
-              let buttonStyle = {};
-
-              if (!showResult) {
-                buttonClass += "border-white/20 hover:border-white/40 hover:bg-white/5 cursor-pointer";
-              } else {
-                if (isCorrect) {
-                  buttonClass += "border-green-500 bg-green-500/20";
-                } else if (isSelected && !isCorrect) {
-                  buttonClass += "border-red-500 bg-red-500/20";
+          {question.options && (
+            <div className="space-y-3 mb-6">
+              {question.options.map((option, index) => {
+                const isCorrect = index === question.correct;
+                const isSelected = index === selectedAnswer;
+                const showResult = showExplanation;
+
+                let buttonClass = "w-full p-4 rounded-xl border-2 text-left transition-all duration-300 ";
+                let buttonStyle = {};
+
+                if (!showResult) {
+                  buttonClass += "border-white/20 hover:border-white/40 hover:bg-white/5 cursor-pointer";
                 } else {
-                  buttonClass += "border-white/10 bg-white/5";
+                  if (isCorrect) {
+                    buttonClass += "border-green-500 bg-green-500/20";
+                  } else if (isSelected && !isCorrect) {
+                    buttonClass += "border-red-500 bg-red-500/20";
+                  } else {
+                    buttonClass += "border-white/10 bg-white/5";
+                  }
                 }
-              }
 
-              return (
-                <button
-                  key={index}
-                  onClick={() => handleAnswer(index)}
-                  disabled={isAnswered}
-                  className={buttonClass}
-                  style={buttonStyle}
-                >
-                  <div className="flex items-center justify-between">
-                    <span className="text-white font-medium">{option}</span>
-                    {showResult && isCorrect && <span className="text-2xl">✓</span>}
-                    {showResult && isSelected && !isCorrect && <span className="text-2xl">✗</span>}
-                  </div>
-                </button>
-              );
-            })}
-          </div>
+                return (
+                  <button
+                    key={index}
+                    onClick={() => handleAnswer(index)}
+                    disabled={isAnswered}
+                    className={buttonClass}
+                    style={buttonStyle}
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className="text-white font-medium">
+                        {index < 9 && <kbd className="mr-3 rounded bg-white/10 px-2 py-0.5 text-xs text-white/50">{index + 1}</kbd>}
+                        {option}
+                      </span>
+                      {showResult && isCorrect && <span className="text-2xl">✓</span>}
+                      {showResult && isSelected && !isCorrect && <span className="text-2xl">✗</span>}
+                    </div>
+                  </button>
+                );
+              })}
+            </div>
+          )}
 
           {/* Explanation */}
           {showExplanation && (
@@ -500,19 +983,182 @@ function QuizGame({ onComplete, accent }) {
           )}
 
           {/* Next button */}
-          {showExplanation && (
-            <button
-              onClick={handleNext}
-              className="w-full py-4 rounded-xl font-bold text-lg transition-all hover:scale-105"
-              style={{ 
-                backgroundColor: accent,
-                color: '#000',
-                boxShadow: `0 10px 30px -10px ${accent}88`
-              }}
-            >
-              {isLastQuestion ? 'Voir mon score' : 'Question suivante'}
-            </button>
+          {showExplanation && nextButton}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ---- Leaderboard ------------------------------------------------------------
+function formatDate(iso, locale) {
+  try {
+    return new Date(iso).toLocaleDateString(locale, { day: "2-digit", month: "short", year: "numeric" });
+  } catch (_) {
+    return iso.slice(0, 10);
+  }
+}
+
+function LeaderboardPanel({ accent, highlightId = null }) {
+  const { locale, t } = useI18n();
+  const kiosk = useContext(KioskContext);
+  const [entries, setEntries] = useState(loadLeaderboard);
+  const [status, setStatus] = useState(null);
+  const [expanded, setExpanded] = useState(highlightId);
+  const fileInput = useRef(null);
+
+  const handleExport = () => {
+    downloadFile(`leaderboard-${new Date().toISOString().slice(0, 10)}.json`, exportLeaderboard(entries));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { entries: merged, imported } = importLeaderboard(await file.text());
+      setEntries(merged);
+      setStatus({ ok: true, text: t("leaderboard.imported", { count: imported }) });
+    } catch (error) {
+      setStatus({ ok: false, text: t("leaderboard.importError", { message: error.message }) });
+    }
+  };
+
+  const handleClear = () => {
+    if (!window.confirm(t("leaderboard.confirmClear"))) return;
+    setEntries(clearLeaderboard());
+    setStatus(null);
+  };
+
+  return (
+    <div className="text-left">
+      {entries.length === 0 ? (
+        <p className="text-white/50 text-center py-6">{t("leaderboard.empty")}</p>
+      ) : (
+        <ol className="space-y-2 max-h-[45vh] overflow-y-auto pr-1">
+          {entries.map((entry, rank) => {
+            const isOpen = expanded === entry.id;
+            return (
+              <li
+                key={entry.id}
+                className="rounded-xl border bg-white/5"
+                style={{ borderColor: entry.id === highlightId ? accent : 'rgba(255,255,255,0.1)' }}
+              >
+                <button
+                  onClick={() => setExpanded(isOpen ? null : entry.id)}
+                  aria-expanded={isOpen}
+                  className="w-full flex items-center gap-3 px-4 py-3 text-left"
+                >
+                  <span className="w-6 text-white/40 font-bold">{rank + 1}</span>
+                  <span className="flex-1 text-white font-medium truncate">{entry.name}</span>
+                  <span className="text-xs text-white/40 hidden sm:inline">{formatDate(entry.date, locale)}</span>
+                  <span className="text-xs text-white/60" title={t("leaderboard.bestStreak")}>🔥 {entry.bestStreak ?? 0}</span>
+                  <span className="w-16 text-right font-bold" style={{ color: accent }}>{entry.score}</span>
+                </button>
+                {isOpen && (
+                  <ul className="px-4 pb-3 space-y-1 text-sm">
+                    {entry.questions.map((item, index) => (
+                      <li key={index} className="flex items-start gap-2 text-white/70">
+                        <span className={item.correct ? 'text-green-400' : 'text-red-400'}>{item.correct ? '✓' : '✗'}</span>
+                        <span className="flex-1">{item.question}</span>
+                        <span className="text-white/50">{item.points}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {!kiosk && (
+        <div className="mt-4 flex flex-wrap items-center justify-center gap-2 text-sm">
+          <button onClick={handleExport} disabled={entries.length === 0} className="px-4 py-2 rounded-full border border-white/20 hover:bg-white/10 disabled:opacity-40">
+            {t("leaderboard.export")}
+          </button>
+          <button onClick={() => fileInput.current && fileInput.current.click()} className="px-4 py-2 rounded-full border border-white/20 hover:bg-white/10">
+            {t("leaderboard.import")}
+          </button>
+          <button onClick={handleClear} disabled={entries.length === 0} className="px-4 py-2 rounded-full border border-red-500/30 text-red-300 hover:bg-red-500/10 disabled:opacity-40">
+            {t("leaderboard.clear")}
+          </button>
+          <input ref={fileInput} type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+        </div>
+      )}
+      {status && (
+        <p className={`mt-3 text-center text-sm ${status.ok ? 'text-green-300' : 'text-red-300'}`} role="status">{status.text}</p>
+      )}
+    </div>
+  );
+}
+
+function LeaderboardModal({ accent, onClose }) {
+  const { t } = useI18n();
+  return (
+    <div className="fixed inset-0 z-[110] flex items-center justify-center bg-black/90 backdrop-blur-md" role="dialog" aria-modal="true">
+      <div className="w-full max-w-2xl mx-4 bg-black/70 rounded-3xl p-8 border-2" style={{ borderColor: accent }}>
+        <h2 className="text-3xl font-bold mb-6 text-center" style={{ color: accent }}>{t("leaderboard.title")}</h2>
+        <LeaderboardPanel accent={accent} />
+        <button onClick={onClose} className="mt-6 w-full py-3 rounded-xl font-bold border-2 transition-all hover:scale-[1.02]" style={{ borderColor: accent, color: accent }}>
+          {t("leaderboard.close")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function QuizSummary({ score, results, accent, deckName, onContinue }) {
+  const { t } = useI18n();
+  const [name, setName] = useState("");
+  const [savedId, setSavedId] = useState(null);
+  const correctCount = results.filter((result) => result.correct).length;
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const entry = createEntry({ name, fallbackName: t("leaderboard.anonymous"), score, results, deck: deckName });
+    addEntry(entry);
+    setSavedId(entry.id);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/90 backdrop-blur-md overflow-y-auto py-8" data-gamepad-scope>
+      <div className="w-full max-w-2xl mx-4">
+        <div className="bg-black/70 backdrop-blur rounded-3xl p-8 border-2 shadow-2xl" style={{ borderColor: accent, boxShadow: `0 28px 60px -20px ${accent}55` }}>
+          <div className="text-center mb-6">
+            <p className="uppercase text-xs tracking-widest text-white/50">{t("leaderboard.yourScore")}</p>
+            <div className="text-6xl font-extrabold mt-2" style={{ color: accent }}>{score}</div>
+            <p className="mt-2 text-white/70">
+              {t("leaderboard.summary", { correct: correctCount, total: results.length, streak: bestStreak(results) })}
+            </p>
+          </div>
+
+          {!savedId ? (
+            <form onSubmit={handleSave} className="flex gap-2 mb-2">
+              <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                maxLength={24}
+                placeholder={t("leaderboard.namePlaceholder")}
+                aria-label={t("leaderboard.namePlaceholder")}
+                className="flex-1 px-4 py-3 rounded-xl bg-white/5 border border-white/20 text-white placeholder-white/40 focus:outline-none focus:border-white/50"
+                autoFocus
+              />
+              <button type="submit" className="px-6 py-3 rounded-xl font-bold" style={{ backgroundColor: accent, color: '#000' }}>
+                {t("leaderboard.save")}
+              </button>
+            </form>
+          ) : (
+            <LeaderboardPanel accent={accent} highlightId={savedId} />
           )}
+
+          <button
+            onClick={onContinue}
+            className="mt-6 w-full py-4 rounded-xl font-bold text-lg transition-all hover:scale-105"
+            style={{ backgroundColor: savedId ? accent : 'transparent', color: savedId ? '#000' : accent, border: `2px solid ${accent}` }}
+          >
+            {t("leaderboard.continue")}
+          </button>
         </div>
       </div>
     </div>
@@ -520,7 +1166,8 @@ function QuizGame({ onComplete, accent }) {
 }
 
 // ---- Future Prediction Component --------------------------------------------
-function FuturePrediction({ quizScore, onRestart, accent }) {
+function FuturePrediction({ scenarios, quizScore, onRestart, accent, speaking, lipSync, voiceEnabled, onSpeak, onStopSpeaking }) {
+  const { t } = useI18n();
   const [selectedScenarios, setSelectedScenarios] = useState([]);
   const [showRobotOpinion, setShowRobotOpinion] = useState(false);
   const [showVideo, setShowVideo] = useState(false);
@@ -539,17 +1186,25 @@ function FuturePrediction({ quizScore, onRestart, accent }) {
     setShowVideo(true);
   };
 
-  const getRobotOpinion = () => {
-    const count = selectedScenarios.length;
-    if (count === 0) return "Aucune prédiction ? L'avenir est entre vos mains ! 🤖";
-    if (count <= 2) return "Une vision prudente de l'avenir. La sagesse guide vos choix. 🧠";
-    if (count <= 3) return "Un bon équilibre entre optimisme et réalisme ! 👍";
-    if (count <= 4) return "Vous croyez en un futur riche en IA ! L'innovation vous inspire. 🚀";
-    return "Toutes les prédictions ! Un vrai visionnaire de l'IA ! ⭐";
-  };
+  const analysis = useMemo(() => analyzePredictions(
+    scenarios.filter((scenario) => selectedScenarios.includes(scenario.id)),
+    scenarios,
+    t
+  ), [scenarios, selectedScenarios, t]);
+
+  // Le robot lit son analyse dès qu'elle s'affiche (si la voix est activée)
+  // onSpeak is a new closure on every render: read the latest one through a ref
+  const onSpeakRef = useRef(onSpeak);
+  onSpeakRef.current = onSpeak;
+  useEffect(() => {
+    if (showRobotOpinion && voiceEnabled) onSpeakRef.current(analysis.paragraphs);
+  }, [showRobotOpinion, analysis, voiceEnabled]);
+
+  // Stop the voice when leaving the prediction screen
+  useEffect(() => () => onStopSpeaking(), [onStopSpeaking]);
 
   return (
-    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/90 backdrop-blur-md overflow-y-auto py-8">
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/90 backdrop-blur-md overflow-y-auto py-8" data-gamepad-scope>
       <div className="w-full max-w-3xl mx-4">
         {!showRobotOpinion ? (
           <>
@@ -557,22 +1212,22 @@ function FuturePrediction({ quizScore, onRestart, accent }) {
             <div className="text-center mb-8">
               <div className="text-6xl mb-4">🔮</div>
               <h1 className="text-4xl font-bold mb-2" style={{ color: accent }}>
-                Prédictions Futur
+                {t("prediction.title")}
               </h1>
               <p className="text-white/70">
-                Sélectionnez les scénarios qui vous semblent les plus probables pour le futur de l'IA
+                {t("prediction.intro")}
               </p>
               {quizScore > 0 && (
                 <div className="mt-4 inline-block px-6 py-2 rounded-full bg-white/10 border border-white/20">
-                  <span className="text-white/60">Score du quiz: </span>
-                  <span className="font-bold" style={{ color: accent }}>{quizScore} pts</span>
+                  <span className="text-white/60">{t("prediction.quizScore")}</span>
+                  <span className="font-bold" style={{ color: accent }}>{t("prediction.points", { score: quizScore })}</span>
                 </div>
               )}
             </div>
 
             {/* Scenarios */}
             <div className="space-y-4 mb-8">
-              {FUTURE_SCENARIOS.map(scenario => {
+              {scenarios.map(scenario => {
                 const isSelected = selectedScenarios.includes(scenario.id);
                 return (
                   <button
@@ -594,7 +1249,7 @@ function FuturePrediction({ quizScore, onRestart, accent }) {
                         <div className="flex items-center gap-2 mb-2">
                           <span className="font-bold" style={{ color: accent }}>{scenario.year}</span>
                           <span className="text-xs px-2 py-1 rounded-full bg-white/10 text-white/60">
-                            {scenario.impact}
+                            {t(`impact.${scenario.impact}`)}
                           </span>
                         </div>
                         <p className="text-white text-lg">{scenario.scenario}</p>
@@ -623,14 +1278,14 @@ function FuturePrediction({ quizScore, onRestart, accent }) {
                 boxShadow: `0 10px 30px -10px ${accent}88`
               }}
             >
-              Voir l'avis du robot
+              {t("prediction.submit")}
             </button>
           </>
         ) : (
           /* Robot Opinion */
           <div className="text-center">
             <div className="mb-8">
-              <RobotHead speaking={false} mouth={0.5} accent={accent} />
+              <RobotHead speaking={speaking} lipSync={lipSync} expression={analysis.expression} accent={accent} />
             </div>
             
             <div 
@@ -638,25 +1293,43 @@ function FuturePrediction({ quizScore, onRestart, accent }) {
               style={{ borderColor: accent, boxShadow: `0 28px 60px -20px ${accent}55` }}
             >
               <h2 className="text-3xl font-bold mb-4" style={{ color: accent }}>
-                Analyse du Robot 🤖
+                {t("prediction.analysisTitle")}
               </h2>
-              <p className="text-xl text-white/90 mb-6">{getRobotOpinion()}</p>
-              
-              <div className="grid grid-cols-2 gap-4 mb-6">
+              {analysis.persona !== "none" && (
+                <div
+                  className="inline-block mb-4 px-3 py-1 rounded-full text-sm font-semibold border"
+                  style={{ borderColor: accent, color: accent, background: `${accent}1a` }}
+                >
+                  {t("robot.profile", { name: t(`robot.persona.${analysis.persona}.name`) })}
+                </div>
+              )}
+              <div className="space-y-3 mb-6 text-left" aria-live="polite">
+                {analysis.paragraphs.map((paragraph, index) => (
+                  <p key={index} className={index === 0 ? "text-xl text-white/90" : "text-base text-white/80"}>{paragraph}</p>
+                ))}
+              </div>
+              <button
+                onClick={() => (speaking ? onStopSpeaking() : onSpeak(analysis.paragraphs))}
+                className="mb-6 px-4 py-2 rounded-xl text-sm font-semibold bg-white/10 text-white hover:bg-white/20 transition-colors"
+              >
+                {speaking ? t("robot.stop") : t("robot.listen")}
+              </button>
+              
+              <div className="grid grid-cols-2 gap-4 mb-6">
                 <div className="p-4 rounded-xl bg-white/5 border border-white/10">
-                  <div className="text-sm text-white/60 mb-1">Score Quiz</div>
+                  <div className="text-sm text-white/60 mb-1">{t("prediction.quizScoreLabel")}</div>
                   <div className="text-2xl font-bold" style={{ color: accent }}>{quizScore}</div>
                 </div>
                 <div className="p-4 rounded-xl bg-white/5 border border-white/10">
-                  <div className="text-sm text-white/60 mb-1">Prédictions</div>
+                  <div className="text-sm text-white/60 mb-1">{t("prediction.predictionsLabel")}</div>
                   <div className="text-2xl font-bold" style={{ color: accent }}>
-                    {selectedScenarios.length}/{FUTURE_SCENARIOS.length}
+                    {selectedScenarios.length}/{scenarios.length}
                   </div>
                 </div>
               </div>
 
               <p className="text-white/70 text-sm">
-                Merci d'avoir exploré l'histoire de la technologie ! L'avenir de l'IA dépend de nos choix d'aujourd'hui. 🌟
+                {t("prediction.thanks")}
               </p>
             </div>
 
@@ -670,7 +1343,7 @@ function FuturePrediction({ quizScore, onRestart, accent }) {
                   boxShadow: `0 10px 30px -10px ${accent}88`
                 }}
               >
-                🎬 Découvrir la vidéo finale
+                {t("prediction.showVideo")}
               </button>
 
               <button
@@ -681,7 +1354,7 @@ function FuturePrediction({ quizScore, onRestart, accent }) {
                   color: accent,
                 }}
               >
-                Recommencer l'exploration
+                {t("prediction.restart")}
               </button>
             </div>
           </div>
@@ -692,9 +1365,9 @@ function FuturePrediction({ quizScore, onRestart, accent }) {
           <div className="text-center">
             <div className="mb-8">
               <h2 className="text-3xl font-bold mb-2" style={{ color: accent }}>
-                Et maintenant ? 🎬
+                {t("prediction.videoTitle")}
               </h2>
-              <p className="text-white/70">Découvrez cette vidéo pour aller plus loin</p>
+              <p className="text-white/70">{t("prediction.videoIntro")}</p>
             </div>
 
             <div className="mb-8 rounded-2xl overflow-hidden border-2 shadow-2xl" style={{ borderColor: accent }}>
@@ -705,7 +1378,7 @@ function FuturePrediction({ quizScore, onRestart, accent }) {
                 style={{ maxHeight: '70vh' }}
               >
                 <source src="/elevenlab_2025.mp4" type="video/mp4" />
-                Votre navigateur ne supporte pas la lecture de vidéos.
+                {t("prediction.videoUnsupported")}
               </video>
             </div>
 
@@ -718,7 +1391,7 @@ function FuturePrediction({ quizScore, onRestart, accent }) {
                 boxShadow: `0 10px 30px -10px ${accent}88`
               }}
             >
-              Recommencer l'exploration
+              {t("prediction.restart")}
             </button>
           </div>
         )}
@@ -727,7 +1400,353 @@ function FuturePrediction({ quizScore, onRestart, accent }) {
   );
 }
 
-function TimelineControlBar({ onPrev, onNext, accent, voiceEnabled, onToggleVoice, onStartQuiz, showQuizButton }) {
+function LanguageSwitcher({ className = "" }) {
+  const { locale, setLocale, t } = useI18n();
+  return (
+    <div role="group" aria-label={t("controls.language")} className={`flex items-center rounded-full border border-white/15 bg-white/5 p-0.5 ${className}`}>
+      {LOCALES.map(({ code, label, name }) => (
+        <button
+          key={code}
+          onClick={() => setLocale(code)}
+          lang={code}
+          title={name}
+          aria-pressed={locale === code}
+          className={`px-2.5 py-1 rounded-full text-[11px] font-bold tracking-wider transition ${
+            locale === code ? "bg-white/20 text-white" : "text-white/50 hover:text-white"
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Filtre par catégorie : restreint navigation, marqueurs, visite et quiz aux catégories choisies
+function CategoryFilter({ categories, active, count, total, onToggle, onClear }) {
+  const { t } = useI18n();
+  const chipClass = "flex items-center gap-1.5 rounded-full border px-2.5 py-1 text-[11px] font-medium transition hover:bg-white/10";
+  return (
+    <div className="mt-3 flex flex-wrap items-center gap-1.5" role="group" aria-label={t("categories.label")}>
+      <button
+        onClick={onClear}
+        aria-pressed={active.length === 0}
+        className={`${chipClass} ${active.length === 0 ? "border-white/50 bg-white/15 text-white" : "border-white/15 text-white/60"}`}
+      >
+        {t("categories.all")}
+      </button>
+      {categories.map((category) => {
+        const on = active.includes(category.id);
+        return (
+          <button
+            key={category.id}
+            onClick={() => onToggle(category.id)}
+            aria-pressed={on}
+            className={`${chipClass} ${on ? "text-white" : "text-white/60"}`}
+            style={{ borderColor: on ? category.color : `${category.color}55`, backgroundColor: on ? `${category.color}33` : undefined }}
+          >
+            <span className="h-2 w-2 rounded-full" style={{ backgroundColor: category.color }} />
+            {category.label}
+          </button>
+        );
+      })}
+      {active.length > 0 && (
+        <span className="text-[11px] text-white/50 tabular-nums">{t("categories.count", { count, total })}</span>
+      )}
+    </div>
+  );
+}
+
+// Transport de la narration : pause/reprise, phrase précédente/suivante, vitesse et voix
+function NarrationControls({ narration, accent }) {
+  const { t } = useI18n();
+  const [showSettings, setShowSettings] = useState(false);
+  const { state } = narration;
+  const active = state.status !== "idle";
+  const buttonClass = "flex h-8 w-8 items-center justify-center rounded-full border border-white/15 bg-white/5 text-white/80 transition hover:border-white/40 hover:bg-white/10 hover:text-white disabled:opacity-30 disabled:pointer-events-none";
+  return (
+    <div className="relative flex items-center gap-1.5">
+      <button onClick={narration.onReplay} disabled={state.total === 0} className={buttonClass} aria-label={t("narration.replay")} title={t("narration.replay")}>
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M3 12a9 9 0 1 0 3-6.7" />
+          <path d="M3 4v5h5" />
+        </svg>
+      </button>
+      <button
+        onClick={state.status === "paused" ? narration.onResume : narration.onPause}
+        disabled={!active}
+        className={buttonClass}
+        aria-label={state.status === "paused" ? t("narration.resume") : t("narration.pause")}
+        title={state.status === "paused" ? t("narration.resume") : t("narration.pause")}
+      >
+        {state.status === "paused" ? (
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><path d="M7 4.5v15l12-7.5z" /></svg>
+        ) : (
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><path d="M6 4h4v16H6zM14 4h4v16h-4z" /></svg>
+        )}
+      </button>
+      <button onClick={narration.onSkip} disabled={!active} className={buttonClass} aria-label={t("narration.skip")} title={t("narration.skip")}>
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><path d="M5 4.5v15l10-7.5zM16 4h3v16h-3z" /></svg>
+      </button>
+      {active && (
+        <span className="text-[11px] tabular-nums text-white/60" aria-live="polite">
+          {t("narration.sentence", { index: Math.min(state.index + 1, state.total), total: state.total })}
+        </span>
+      )}
+      <button
+        onClick={narration.onToggleCaptions}
+        className={`${buttonClass} text-[10px] font-bold ${narration.captions ? "border-white/40 bg-white/15 text-white" : ""}`}
+        aria-pressed={narration.captions}
+        aria-label={t("captions.toggle")}
+        title={t("captions.toggle")}
+      >
+        CC
+      </button>
+      <button
+        onClick={() => setShowSettings((open) => !open)}
+        className={buttonClass}
+        aria-label={t("narration.settings")}
+        aria-expanded={showSettings}
+        title={t("narration.settings")}
+      >
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round">
+          <path d="M4 6h10M18 6h2M4 12h4M12 12h8M4 18h12M20 18h0" />
+          <circle cx="16" cy="6" r="2" />
+          <circle cx="10" cy="12" r="2" />
+          <circle cx="18" cy="18" r="2" />
+        </svg>
+      </button>
+      {showSettings && (
+        <div
+          className="absolute bottom-full right-0 mb-4 w-64 rounded-2xl border bg-black/85 p-4 text-sm text-white backdrop-blur shadow-xl space-y-4"
+          style={{ borderColor: `${accent}88` }}
+        >
+          <label className="block">
+            <span className="flex justify-between text-xs uppercase tracking-widest text-white/60">
+              <span>{t("narration.speed")}</span>
+              <span className="tabular-nums">{narration.rate.toFixed(1)}×</span>
+            </span>
+            <input
+              type="range"
+              min={RATE_MIN}
+              max={RATE_MAX}
+              step={RATE_STEP}
+              value={narration.rate}
+              onChange={(e) => narration.onRateChange(Number(e.target.value))}
+              className="mt-2 w-full"
+              style={{ accentColor: accent }}
+            />
+          </label>
+          <label className="block">
+            <span className="text-xs uppercase tracking-widest text-white/60">{t("narration.voice")}</span>
+            <select
+              value={narration.voiceURI}
+              onChange={(e) => narration.onVoiceChange(e.target.value)}
+              className="mt-2 w-full rounded-lg border border-white/15 bg-black/60 px-2 py-1.5 text-white"
+            >
+              <option value="">{t("narration.autoVoice")}</option>
+              {narration.voices.map((voice) => (
+                <option key={voice.voiceURI} value={voice.voiceURI}>
+                  {voice.name} ({voice.lang})
+                </option>
+              ))}
+            </select>
+          </label>
+          <p className="text-[11px] text-white/50">{t("narration.nextSentenceHint")}</p>
+          {narration.onExportTranscript && (
+            <div className="border-t border-white/10 pt-3">
+              <span className="text-xs uppercase tracking-widest text-white/60">{t("captions.export")}</span>
+              <div className="mt-2 flex gap-2">
+                {["vtt", "srt"].map((format) => (
+                  <button
+                    key={format}
+                    onClick={() => narration.onExportTranscript(format)}
+                    className="flex-1 rounded-lg border border-white/15 bg-white/5 px-2 py-1.5 text-xs font-semibold uppercase hover:bg-white/10"
+                  >
+                    {t(`captions.export.${format}`)}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Visite guidée : lecture/pause entourée d'un anneau de progression vers l'événement suivant
+function TourControls({ tour, accent }) {
+  const { t } = useI18n();
+  const [showSettings, setShowSettings] = useState(false);
+  const ringRef = useRef(null);
+  const { countdown, progress } = tour;
+  const running = tour.active && !tour.paused;
+  const radius = 18;
+  const circumference = 2 * Math.PI * radius;
+
+  // Dwell countdown animated outside React state; narration progress otherwise
+  useEffect(() => {
+    const ring = ringRef.current;
+    if (!ring) return undefined;
+    const draw = (value) => { ring.style.strokeDashoffset = String(circumference * (1 - value)); };
+    if (!countdown) {
+      draw(progress);
+      return undefined;
+    }
+    let raf;
+    const tick = (now) => {
+      draw(Math.min(1, (now - countdown.startedAt) / countdown.duration));
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [countdown, progress, circumference]);
+
+  const label = running ? t("tour.pause") : tour.active ? t("tour.resume") : t("tour.play");
+  return (
+    <div className="relative flex items-center gap-1.5" data-tour-control>
+      <button
+        onClick={tour.onToggle}
+        className={`group relative flex h-10 w-10 items-center justify-center rounded-full border transition hover:border-white/40 hover:bg-white/10 ${
+          tour.active ? "border-white/40 bg-white/10" : "border-white/15 bg-white/5"
+        }`}
+        aria-label={label}
+        aria-pressed={running}
+        title={label}
+      >
+        {tour.active && (
+          <svg className="pointer-events-none absolute inset-0 -rotate-90" width="40" height="40" viewBox="0 0 40 40" aria-hidden="true">
+            <circle
+              ref={ringRef}
+              cx="20"
+              cy="20"
+              r={radius}
+              fill="none"
+              stroke={accent}
+              strokeWidth="2"
+              strokeLinecap="round"
+              strokeDasharray={circumference}
+              strokeDashoffset={circumference}
+            />
+          </svg>
+        )}
+        {running ? (
+          <svg width="14" height="14" viewBox="0 0 24 24" className="text-white" fill="currentColor"><path d="M6 4h4v16H6zM14 4h4v16h-4z" /></svg>
+        ) : (
+          <svg width="14" height="14" viewBox="0 0 24 24" className="text-white/80 group-hover:text-white" fill="currentColor"><path d="M7 4.5v15l12-7.5z" /></svg>
+        )}
+      </button>
+      <button
+        onClick={() => setShowSettings((open) => !open)}
+        className="flex h-6 w-6 items-center justify-center rounded-full text-white/50 transition hover:bg-white/10 hover:text-white"
+        aria-label={t("tour.settings")}
+        aria-expanded={showSettings}
+        title={t("tour.settings")}
+      >
+        <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round"><path d="m6 15 6-6 6 6" /></svg>
+      </button>
+      {showSettings && (
+        <div
+          className="absolute bottom-full left-0 mb-4 w-64 rounded-2xl border bg-black/85 p-4 text-sm text-white backdrop-blur shadow-xl space-y-4"
+          style={{ borderColor: `${accent}88` }}
+        >
+          <label className="block">
+            <span className="flex justify-between text-xs uppercase tracking-widest text-white/60">
+              <span>{t("tour.dwell")}</span>
+              <span className="tabular-nums">{t("tour.seconds", { value: tour.dwellSeconds })}</span>
+            </span>
+            <input
+              type="range"
+              min={DWELL_MIN}
+              max={DWELL_MAX}
+              step={1}
+              value={tour.dwellSeconds}
+              onChange={(e) => tour.onDwellChange(Number(e.target.value))}
+              className="mt-2 w-full"
+              style={{ accentColor: accent }}
+            />
+          </label>
+          <label className="flex items-center gap-2 text-xs text-white/80">
+            <input type="checkbox" checked={tour.quizAtEnd} onChange={tour.onToggleQuizAtEnd} style={{ accentColor: accent }} />
+            {t("tour.quizAtEnd")}
+          </label>
+          <p className="text-[11px] text-white/50">{t("tour.hint")}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Qualité du rendu : automatique (selon les images/s mesurées) ou fixée par le joueur
+function QualityControls({ quality, accent }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((value) => !value)}
+        className="group relative flex h-10 w-10 items-center justify-center rounded-full border border-white/15 bg-white/5 transition hover:border-white/40 hover:bg-white/10"
+        aria-label={t("quality.label")}
+        aria-expanded={open}
+        title={t("quality.label")}
+      >
+        <svg width="16" height="16" viewBox="0 0 24 24" className="text-white/80 group-hover:text-white" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M4 20a8 8 0 1 1 16 0" />
+          <path d="m12 20 4-6" />
+        </svg>
+      </button>
+      {open && (
+        <div
+          className="absolute bottom-full right-0 mb-4 w-72 rounded-2xl border bg-black/85 p-4 text-sm text-white backdrop-blur shadow-xl space-y-4"
+          style={{ borderColor: `${accent}88` }}
+        >
+          <div>
+            <p className="text-xs uppercase tracking-widest text-white/60">{t("quality.label")}</p>
+            <div className="mt-2 grid grid-cols-4 gap-1" role="radiogroup" aria-label={t("quality.label")}>
+              {QUALITY_MODES.map((mode) => (
+                <button
+                  key={mode}
+                  role="radio"
+                  aria-checked={quality.mode === mode}
+                  onClick={() => quality.onModeChange(mode)}
+                  className={`rounded-lg border px-2 py-1.5 text-xs transition ${
+                    quality.mode === mode ? "border-white/50 bg-white/15 text-white" : "border-white/10 text-white/60 hover:bg-white/10"
+                  }`}
+                >
+                  {t(`quality.${mode}`)}
+                </button>
+              ))}
+            </div>
+          </div>
+          {quality.mode === "auto" && (
+            <p className="text-[11px] text-white/50">{t("quality.autoHint", { tier: t(`quality.${quality.tier}`) })}</p>
+          )}
+          <label className="flex items-center gap-2 text-xs text-white/80">
+            <input type="checkbox" checked={quality.stats} onChange={quality.onToggleStats} style={{ accentColor: accent }} />
+            {t("quality.stats")}
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Debug overlay: current tier and measured frame time
+function QualityStats({ tier, mode, stats }) {
+  const { t } = useI18n();
+  return (
+    <div className="pointer-events-none fixed bottom-3 left-3 z-[60] rounded-lg bg-black/70 px-3 py-1.5 font-mono text-[11px] text-white/80" aria-hidden="true">
+      {t(`quality.${tier}`)}
+      {mode === "auto" && ` (${t("quality.auto")})`}
+      {" · "}
+      {stats ? `${stats.frameMs.toFixed(1)} ms · ${Math.round(stats.fps)} fps` : "…"}
+    </div>
+  );
+}
+
+function TimelineControlBar({ onPrev, onNext, accent, voiceEnabled, onToggleVoice, onStartQuiz, showQuizButton, narration, tour, onEdit, onSearch, quality }) {
+  const { t } = useI18n();
   return (
     <div
       className="flex items-center gap-3 bg-black/70 border border-white/10 rounded-full px-5 py-3 backdrop-blur shadow-lg"
@@ -736,7 +1755,7 @@ function TimelineControlBar({ onPrev, onNext, accent, voiceEnabled, onToggleVoic
       <button
         onClick={onPrev}
         className="group relative flex h-10 w-10 items-center justify-center rounded-full border border-white/15 bg-white/5 transition hover:border-white/40 hover:bg-white/10"
-        aria-label="Événement précédent"
+        aria-label={t("controls.prev")}
       >
         <svg width="18" height="18" viewBox="0 0 18 18" className="text-white/80 group-hover:text-white" fill="none">
           <path
@@ -753,7 +1772,7 @@ function TimelineControlBar({ onPrev, onNext, accent, voiceEnabled, onToggleVoic
         className={`group relative flex h-10 w-10 items-center justify-center rounded-full border transition hover:border-white/40 hover:bg-white/10 ${
           voiceEnabled ? "border-white/40 bg-white/10" : "border-white/15 bg-white/5"
         }`}
-        aria-label={voiceEnabled ? "Désactiver la narration" : "Activer la narration"}
+        aria-label={voiceEnabled ? t("controls.voiceOff") : t("controls.voiceOn")}
       >
         <svg width="18" height="18" viewBox="0 0 24 24" className="text-white group-hover:text-white" fill="none" stroke="currentColor" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round">
           <path d="M12 3a3 3 0 0 0-3 3v6a3 3 0 0 0 6 0V6a3 3 0 0 0-3-3Z" />
@@ -764,7 +1783,7 @@ function TimelineControlBar({ onPrev, onNext, accent, voiceEnabled, onToggleVoic
       <button
         onClick={onNext}
         className="group relative flex h-10 w-10 items-center justify-center rounded-full border border-white/15 bg-white/5 transition hover:border-white/40 hover:bg-white/10"
-        aria-label="Événement suivant"
+        aria-label={t("controls.next")}
       >
         <svg width="18" height="18" viewBox="0 0 18 18" className="text-white/80 group-hover:text-white" fill="none">
           <path
@@ -776,6 +1795,20 @@ function TimelineControlBar({ onPrev, onNext, accent, voiceEnabled, onToggleVoic
           />
         </svg>
       </button>
+      {tour && <TourControls tour={tour} accent={accent} />}
+      {voiceEnabled && narration && <NarrationControls narration={narration} accent={accent} />}
+      {!voiceEnabled && narration && (
+        <button
+          onClick={narration.onToggleTypewriter}
+          className={`flex h-10 items-center justify-center rounded-full border px-3 text-[11px] font-bold uppercase tracking-wider transition hover:border-white/40 hover:bg-white/10 ${
+            narration.typewriter ? "border-white/40 bg-white/10 text-white" : "border-white/15 bg-white/5 text-white/60"
+          }`}
+          aria-pressed={narration.typewriter}
+          title={t("narration.typewriterHint")}
+        >
+          {t("narration.typewriter")}
+        </button>
+      )}
       {showQuizButton && (
         <button
           onClick={onStartQuiz}
@@ -786,16 +1819,491 @@ function TimelineControlBar({ onPrev, onNext, accent, voiceEnabled, onToggleVoic
             boxShadow: `0 5px 20px -5px ${accent}88`
           }}
         >
-          🎮 Quiz
+          {t("controls.quiz")}
+        </button>
+      )}
+      {onEdit && (
+        <button
+          onClick={onEdit}
+          className="group relative flex h-10 w-10 items-center justify-center rounded-full border border-white/15 bg-white/5 transition hover:border-white/40 hover:bg-white/10"
+          aria-label={t("controls.edit")}
+          title={t("controls.edit")}
+        >
+          <svg width="16" height="16" viewBox="0 0 24 24" className="text-white/80 group-hover:text-white" fill="none" stroke="currentColor" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round">
+            <path d="M12 20h9" />
+            <path d="M16.5 3.5a2.1 2.1 0 0 1 3 3L7 19l-4 1 1-4Z" />
+          </svg>
+        </button>
+      )}
+      {onSearch && (
+        <button
+          onClick={onSearch}
+          className="group relative flex h-10 w-10 items-center justify-center rounded-full border border-white/15 bg-white/5 transition hover:border-white/40 hover:bg-white/10"
+          aria-label={t("palette.open")}
+          title={t("palette.open")}
+        >
+          <svg width="16" height="16" viewBox="0 0 24 24" className="text-white/80 group-hover:text-white" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round">
+            <circle cx="11" cy="11" r="7" />
+            <path d="m20 20-3.5-3.5" />
+          </svg>
         </button>
       )}
+      {quality && <QualityControls quality={quality} accent={accent} />}
+      <LanguageSwitcher />
       <div className="hidden md:flex items-center gap-2 text-[11px] uppercase tracking-[0.22em] text-white/60">
-        <span>Mode manuel</span>
+        <span>{t("controls.manualMode")}</span>
+      </div>
+    </div>
+  );
+}
+
+// Frise proportionnelle : graduations et points placés selon l'année, tête de lecture déplaçable
+const SCRUB_DRAG_THRESHOLD = 4; // px avant qu'un appui devienne un glissement
+
+function ChronoScrubber({ events, activeIndices, selected, year, accent, onScrub, onScrubEnd }) {
+  const { t } = useI18n();
+  const trackRef = useRef(null);
+  // { startX, dragging } while the pointer is down
+  const pressRef = useRef(null);
+  const range = useMemo(() => yearRange(events), [events]);
+  const ticks = useMemo(() => yearTicks(range), [range]);
+
+  const yearAt = (clientX) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    return positionToYear((clientX - rect.left) / rect.width, range);
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pressRef.current = { startX: e.clientX, dragging: false };
+  };
+
+  const handlePointerMove = (e) => {
+    const press = pressRef.current;
+    if (!press) return;
+    if (!press.dragging && Math.abs(e.clientX - press.startX) < SCRUB_DRAG_THRESHOLD) return;
+    press.dragging = true;
+    onScrub(yearAt(e.clientX));
+  };
+
+  // Dragging snaps to the nearest event; a simple tap travels there
+  const handlePointerUp = (e) => {
+    const press = pressRef.current;
+    if (!press) return;
+    pressRef.current = null;
+    onScrubEnd(nearestEventIndex(events, yearAt(e.clientX), activeIndices), press.dragging);
+  };
+
+  const handlePointerCancel = () => {
+    if (!pressRef.current) return;
+    pressRef.current = null;
+    onScrubEnd(nearestEventIndex(events, year, activeIndices), true);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key !== "Home" && e.key !== "End") return;
+    e.preventDefault();
+    onScrubEnd(nearestEventIndex(events, e.key === "Home" ? range.min : range.max, activeIndices), false);
+  };
+
+  const percent = (value) => `${yearToPosition(value, range) * 100}%`;
+  const current = events[selected];
+  return (
+    <div className="rounded-2xl border border-white/10 bg-black/70 px-5 pt-2 pb-1.5 backdrop-blur shadow-lg">
+      <div
+        ref={trackRef}
+        role="slider"
+        tabIndex={0}
+        aria-label={t("scrubber.label")}
+        aria-valuemin={range.min}
+        aria-valuemax={range.max}
+        aria-valuenow={Math.round(year)}
+        aria-valuetext={`${Math.round(year)} · ${current.title}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerCancel}
+        onKeyDown={handleKeyDown}
+        className="relative h-7 cursor-pointer touch-none select-none focus:outline-none focus-visible:ring-1 focus-visible:ring-white/40 rounded"
+      >
+        <div className="absolute inset-x-0 top-1/2 h-px -translate-y-1/2 bg-white/20" />
+        {ticks.map((tick) => (
+          <div key={tick} className="absolute top-1/2 h-2 w-px -translate-y-1/2 bg-white/25" style={{ left: percent(tick) }} />
+        ))}
+        {events.map((item, index) => (
+          <span
+            key={index}
+            className={`absolute top-1/2 h-2.5 w-2.5 -translate-x-1/2 -translate-y-1/2 rounded-full transition ${index === selected ? "scale-150" : ""}`}
+            style={{
+              left: percent(item.year),
+              backgroundColor: item.accent || "#ffffff",
+              opacity: activeIndices.includes(index) ? 1 : 0.2,
+            }}
+            title={`${item.year} · ${item.title}`}
+          />
+        ))}
+        <div
+          className="pointer-events-none absolute top-0 bottom-0 w-0.5 -translate-x-1/2 rounded-full"
+          style={{ left: percent(year), backgroundColor: accent, boxShadow: `0 0 10px ${accent}` }}
+        />
+      </div>
+      <div className="relative h-4 text-[10px] tabular-nums text-white/45" aria-hidden="true">
+        {ticks.map((tick) => (
+          <span key={tick} className="absolute -translate-x-1/2" style={{ left: percent(tick) }}>{tick}</span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ---- Command palette (Ctrl+K / "/") -----------------------------------------
+function CommandPalette({ events, commands, onSelectEvent, onClose }) {
+  const { t } = useI18n();
+  const [query, setQuery] = useState("");
+  const [activeItem, setActiveItem] = useState(0);
+  const listRef = useRef(null);
+
+  const items = useMemo(() => [
+    ...searchEvents(events, query).map((result) => ({ kind: "event", key: `event-${result.index}`, ...result })),
+    ...searchCommands(commands, query).map((command) => ({ kind: "command", key: `command-${command.id}`, command })),
+  ], [events, commands, query]);
+
+  useEffect(() => setActiveItem(0), [query]);
+
+  useEffect(() => {
+    listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: "nearest" });
+  }, [activeItem]);
+
+  const run = (item) => {
+    if (!item) return;
+    onClose();
+    if (item.kind === "event") onSelectEvent(item.index);
+    else item.command.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActiveItem((current) => (items.length ? (current + step + items.length) % items.length : 0));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      run(items[activeItem]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  const highlighted = items[activeItem];
+  const preview = highlighted?.kind === "event" ? events[highlighted.index] : null;
+  const firstCommand = items.findIndex((item) => item.kind === "command");
+  return (
+    <div
+      className="fixed inset-0 z-[120] flex items-start justify-center bg-black/60 pt-[12vh] backdrop-blur-sm"
+      onPointerDown={(e) => { if (e.target === e.currentTarget) onClose(); }}
+      role="dialog"
+      aria-modal="true"
+      aria-label={t("palette.label")}
+    >
+      <div className="w-[min(44rem,92vw)] overflow-hidden rounded-2xl border border-white/15 bg-black/85 text-white shadow-2xl animate-fadeIn">
+        <input
+          autoFocus
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder={t("palette.placeholder")}
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="command-palette-results"
+          aria-activedescendant={highlighted ? `palette-${highlighted.key}` : undefined}
+          className="w-full border-b border-white/10 bg-transparent px-5 py-4 text-base placeholder-white/40 focus:outline-none"
+        />
+        <div className="grid md:grid-cols-[1fr_16rem]">
+          <ul id="command-palette-results" ref={listRef} role="listbox" className="max-h-[50vh] overflow-y-auto p-2">
+            {items.length === 0 && <li className="px-3 py-6 text-center text-sm text-white/50">{t("palette.empty")}</li>}
+            {items.map((item, index) => {
+              const selectedItem = index === activeItem;
+              const heading = index === 0 && item.kind === "event" ? t("palette.events") : index === firstCommand ? t("palette.commands") : null;
+              const event = item.kind === "event" ? events[item.index] : null;
+              return (
+                <React.Fragment key={item.key}>
+                  {heading && <li role="presentation" className="px-3 pb-1 pt-2 text-[10px] uppercase tracking-widest text-white/40">{heading}</li>}
+                  <li
+                    id={`palette-${item.key}`}
+                    role="option"
+                    aria-selected={selectedItem}
+                    onPointerMove={() => setActiveItem(index)}
+                    onClick={() => run(item)}
+                    className={`flex cursor-pointer items-center gap-3 rounded-xl px-3 py-2 text-sm ${selectedItem ? "bg-white/10" : ""}`}
+                  >
+                    {event ? (
+                      <>
+                        <span className="w-12 shrink-0 font-bold tabular-nums" style={{ color: event.accent }}>{event.year}</span>
+                        <span className="flex-1 truncate">{event.title}</span>
+                        <span className="hidden truncate text-xs text-white/40 sm:block">{event.location}</span>
+                      </>
+                    ) : (
+                      <>
+                        <span className="w-12 shrink-0 text-center text-white/50" aria-hidden="true">›</span>
+                        <span className="flex-1">{item.command.label}</span>
+                      </>
+                    )}
+                  </li>
+                </React.Fragment>
+              );
+            })}
+          </ul>
+          <div className="hidden border-l border-white/10 p-4 text-sm md:block" aria-live="polite">
+            {preview ? (
+              <>
+                <p className="text-2xl font-extrabold" style={{ color: preview.accent }}>{preview.year}</p>
+                <p className="mt-1 font-semibold leading-snug">{preview.title}</p>
+                <p className="mt-1 text-xs text-white/50">{preview.location}</p>
+                <p className="mt-3 text-xs leading-relaxed text-white/70">
+                  {highlighted.snippet ? (
+                    <>
+                      {highlighted.snippet.before}
+                      <mark className="rounded bg-white/20 px-0.5 text-white">{highlighted.snippet.match}</mark>
+                      {highlighted.snippet.after}
+                    </>
+                  ) : (
+                    splitSentences(preview.text)[0]
+                  )}
+                </p>
+              </>
+            ) : (
+              <p className="text-xs text-white/40">{t("palette.hint")}</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ---- Keyboard shortcut help ("?") -------------------------------------------
+function ShortcutHelp({ shortcuts, onClose }) {
+  const { t } = useI18n();
+  const keyName = (key) => (key === " " ? t("intro.spaceKey") : keyLabel(key));
+  // One line per action: shortcuts sharing a label list their keys together
+  const rows = shortcuts.reduce((list, shortcut) => {
+    const row = list.find((item) => item.label === shortcut.label);
+    if (row) row.keys = [...new Set([...row.keys, ...shortcut.keys])];
+    else list.push({ label: shortcut.label, keys: shortcut.keys });
+    return list;
+  }, []);
+  return (
+    <div
+      className="fixed inset-0 z-[120] flex items-center justify-center bg-black/70 backdrop-blur-sm"
+      onPointerDown={(e) => { if (e.target === e.currentTarget) onClose(); }}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="shortcut-help-title"
+    >
+      <div className="w-[min(32rem,92vw)] rounded-2xl border border-white/15 bg-black/85 p-6 text-white shadow-2xl animate-fadeIn">
+        <h2 id="shortcut-help-title" className="mb-4 text-lg font-bold">{t("shortcuts.title")}</h2>
+        <dl className="space-y-2 text-sm">
+          {rows.map((row) => (
+            <div key={row.label} className="flex items-center justify-between gap-4">
+              <dt className="text-white/70">{t(row.label)}</dt>
+              <dd className="flex shrink-0 gap-1">
+                {row.keys.map((key) => (
+                  <kbd key={key} className="rounded bg-white/10 px-2 py-0.5 text-xs">{keyName(key)}</kbd>
+                ))}
+              </dd>
+            </div>
+          ))}
+        </dl>
+        <button
+          autoFocus
+          onClick={onClose}
+          className="mt-6 w-full rounded-xl border border-white/20 py-2 text-sm text-white/80 transition hover:bg-white/10"
+        >
+          {t("shortcuts.close")}
+        </button>
       </div>
     </div>
   );
 }
 
+// ---- Deck Editor (authoring mode) -------------------------------------------
+const editorInputClass = "w-full rounded-lg border border-white/15 bg-black/60 px-2.5 py-1.5 text-sm text-white placeholder-white/30 focus:border-white/40 focus:outline-none";
+
+function EditorField({ label, children }) {
+  return (
+    <label className="block">
+      <span className="text-[11px] uppercase tracking-widest text-white/50">{label}</span>
+      <div className="mt-1">{children}</div>
+    </label>
+  );
+}
+
+// Édition du deck brut : les textes sont saisis dans la langue active
+function DeckEditor({ deck, deckName, selected, onSelect, onChange, onClose }) {
+  const { locale, t } = useI18n();
+  const [status, setStatus] = useState(null); // { ok, text, issues }
+  const fileInput = useRef(null);
+  const events = deck.events;
+  const index = Math.min(selected, events.length - 1);
+  const event = events[index];
+  const language = getLocaleInfo(locale).name;
+
+  // Exact translation for the field, the other language as placeholder
+  const fieldText = (value) => {
+    if (value && typeof value === "object") return value[locale] || "";
+    return locale === deck.locale ? value || "" : "";
+  };
+  const fallbackText = (value) => localize(value, locale, deck.locale) || "";
+
+  const setEvents = (nextEvents) => onChange({ ...deck, events: nextEvents });
+  const patch = (values) => setEvents(updateEvent(events, index, values));
+  const patchText = (key, text) => patch({ [key]: setLocalizedText(event[key], text, locale, deck.locale) });
+  const patchNumber = (key, raw, min, max, parse = Number.parseFloat) => {
+    const value = parse(raw);
+    if (Number.isFinite(value)) patch({ [key]: Math.min(max, Math.max(min, value)) });
+  };
+
+  const handleAdd = () => {
+    setEvents(insertEvent(events, index + 1, createEvent(event)));
+    onSelect(index + 1);
+  };
+
+  const handleRemove = (position) => {
+    if (events.length <= 1) return;
+    const title = fallbackText(events[position].title) || t("editor.untitled");
+    if (!window.confirm(t("editor.confirmRemove", { title }))) return;
+    setEvents(removeEvent(events, position));
+    onSelect(position < index || (position === index && index > 0) ? index - 1 : index);
+  };
+
+  const handleMove = (position, to) => {
+    const next = moveEvent(events, position, to);
+    if (next === events) return;
+    setEvents(next);
+    if (position === index) onSelect(to);
+    else if (to === index) onSelect(position);
+  };
+
+  const handleExport = () => {
+    const issues = deckIssues(deck);
+    if (issues.length > 0) {
+      setStatus({ ok: false, text: t("editor.issues", { count: issues.length }), issues });
+      return;
+    }
+    downloadFile(`${deckName}.json`, serializeDeck(deck));
+    setStatus({ ok: true, text: t("editor.exported", { name: deckName }) });
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const imported = importDeck(await file.text());
+      onSelect(0);
+      onChange(imported);
+      setStatus({ ok: true, text: t("editor.imported", { count: imported.events.length }) });
+    } catch (error) {
+      setStatus({ ok: false, text: t("editor.importError", { message: deckErrorText(error, t) }), issues: error.issues || [] });
+    }
+  };
+
+  return (
+    <aside
+      className="absolute left-4 md:left-8 top-6 bottom-6 z-40 w-[min(92vw,380px)] flex flex-col rounded-3xl border bg-black/80 backdrop-blur text-white shadow-2xl"
+      style={{ borderColor: `${event.accent}88` }}
+      aria-label={t("editor.title")}
+    >
+      <div className="flex items-center justify-between gap-2 px-5 pt-5">
+        <div>
+          <h2 className="text-lg font-bold">{t("editor.title")}</h2>
+          <p className="text-xs text-white/50">{t("editor.textLocale", { language })}</p>
+        </div>
+        <button onClick={onClose} className="px-3 py-1.5 rounded-full border border-white/20 text-sm hover:bg-white/10">
+          {t("editor.close")}
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-5 py-4 space-y-5">
+        <ol className="space-y-1.5">
+          {events.map((item, position) => (
+            <li
+              key={position}
+              className={`flex items-center gap-2 rounded-xl border px-2 py-1.5 ${position === index ? "bg-white/10" : "bg-white/5"}`}
+              style={{ borderColor: position === index ? item.accent : "rgba(255,255,255,0.08)" }}
+            >
+              <button onClick={() => onSelect(position)} aria-current={position === index} className="flex-1 min-w-0 flex items-center gap-2 text-left text-sm">
+                <span className="font-bold tabular-nums" style={{ color: item.accent }}>{item.year}</span>
+                <span className="truncate text-white/80">{fallbackText(item.title) || t("editor.untitled")}</span>
+              </button>
+              <button onClick={() => handleMove(position, position - 1)} disabled={position === 0} aria-label={t("editor.moveUp")} className="px-1.5 text-white/60 hover:text-white disabled:opacity-20">▲</button>
+              <button onClick={() => handleMove(position, position + 1)} disabled={position === events.length - 1} aria-label={t("editor.moveDown")} className="px-1.5 text-white/60 hover:text-white disabled:opacity-20">▼</button>
+              <button onClick={() => handleRemove(position)} disabled={events.length <= 1} aria-label={t("editor.remove")} className="px-1.5 text-red-300/80 hover:text-red-300 disabled:opacity-20">✕</button>
+            </li>
+          ))}
+        </ol>
+        <button onClick={handleAdd} className="w-full rounded-xl border border-dashed border-white/25 py-2 text-sm text-white/80 hover:bg-white/5">
+          {t("editor.add")}
+        </button>
+
+        <div className="space-y-3 border-t border-white/10 pt-4">
+          <div className="grid grid-cols-[1fr_auto] gap-3">
+            <EditorField label={t("editor.year")}>
+              <input type="number" step="1" value={event.year} onChange={(e) => patchNumber("year", e.target.value, -9999, 9999, (raw) => Number.parseInt(raw, 10))} className={editorInputClass} />
+            </EditorField>
+            <EditorField label={t("editor.accent")}>
+              <input type="color" value={event.accent.length === 4 ? `#${[...event.accent.slice(1)].map((c) => c + c).join("")}` : event.accent} onChange={(e) => patch({ accent: e.target.value })} className="h-[34px] w-14 rounded-lg border border-white/15 bg-black/60" />
+            </EditorField>
+          </div>
+          <EditorField label={t("editor.titleField")}>
+            <input value={fieldText(event.title)} placeholder={fallbackText(event.title)} onChange={(e) => patchText("title", e.target.value)} className={editorInputClass} />
+          </EditorField>
+          <EditorField label={t("editor.location")}>
+            <input value={fieldText(event.location)} placeholder={fallbackText(event.location)} onChange={(e) => patchText("location", e.target.value)} className={editorInputClass} />
+          </EditorField>
+          <EditorField label={t("editor.text")}>
+            <textarea rows={5} value={fieldText(event.text)} placeholder={fallbackText(event.text)} onChange={(e) => patchText("text", e.target.value)} className={`${editorInputClass} resize-y`} />
+          </EditorField>
+          <div className="grid grid-cols-2 gap-3">
+            <EditorField label={t("editor.lon")}>
+              <input type="number" step="0.001" min="-180" max="180" value={event.lon} onChange={(e) => patchNumber("lon", e.target.value, -180, 180)} className={editorInputClass} />
+            </EditorField>
+            <EditorField label={t("editor.lat")}>
+              <input type="number" step="0.001" min="-90" max="90" value={event.lat} onChange={(e) => patchNumber("lat", e.target.value, -90, 90)} className={editorInputClass} />
+            </EditorField>
+          </div>
+          <p className="text-xs text-white/50">{t("editor.pickHint")}</p>
+        </div>
+      </div>
+
+      <div className="border-t border-white/10 px-5 py-4 space-y-2">
+        <div className="flex gap-2">
+          <button onClick={handleExport} className="flex-1 rounded-full py-2 text-sm font-bold text-black" style={{ backgroundColor: event.accent }}>
+            {t("editor.export")}
+          </button>
+          <button onClick={() => fileInput.current && fileInput.current.click()} className="flex-1 rounded-full border border-white/20 py-2 text-sm hover:bg-white/10">
+            {t("editor.import")}
+          </button>
+          <input ref={fileInput} type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+        </div>
+        <p className="text-[11px] text-white/40">{t("editor.exportHint", { name: deckName })}</p>
+        {status && (
+          <div role="status" className={`text-sm ${status.ok ? "text-green-300" : "text-red-300"}`}>
+            <p>{status.text}</p>
+            {status.issues && status.issues.length > 0 && (
+              <ul className="mt-1 max-h-32 overflow-y-auto font-mono text-[11px] space-y-0.5">
+                {status.issues.map((issue) => <li key={issue}>{issue}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </aside>
+  );
+}
+
 // ---- 5c) HoloClock sci-fi years overlay ----
 function HoloClock({ from, to, progress, active, year }) {
   // Si active : effet zoom/centre/défilement, sinon mode compact fixe en haut droite
@@ -950,7 +2458,7 @@ function Comets() {
 }
 
 // ---- 5e) Intro Title Component ----------------------------------------------
-function IntroTitle({ progress }) {
+function IntroTitle({ progress, title, subtitle }) {
   const groupRef = useRef(null);
   
   useFrame(() => {
@@ -980,7 +2488,7 @@ function IntroTitle({ progress }) {
               letterSpacing: '0.15em'
             }}
           >
-            HISTOIRE DE LA TECH
+            {title.toUpperCase()}
           </h1>
           <p 
             className="text-xl md:text-2xl text-cyan-200/80 font-light tracking-widest"
@@ -988,7 +2496,7 @@ function IntroTitle({ progress }) {
               textShadow: '0 0 20px #4cfaffaa',
             }}
           >
-            Un voyage à travers le temps
+            {subtitle}
           </p>
         </div>
       </Html>
@@ -997,11 +2505,11 @@ function IntroTitle({ progress }) {
 }
 
 // ---- 5f) Warp Speed Stars ---------------------------------------------------
-function WarpStars({ active }) {
+function WarpStars({ active, count = 1500 }) {
   const starsRef = useRef(null);
-  const [starPositions] = useState(() => {
-    const positions = new Float32Array(1500 * 3);
-    for (let i = 0; i < 1500; i++) {
+  const starPositions = useMemo(() => {
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
       const i3 = i * 3;
       const radius = 10 + Math.random() * 40;
       const theta = Math.random() * Math.PI * 2;
@@ -1011,7 +2519,7 @@ function WarpStars({ active }) {
       positions[i3 + 2] = radius * Math.cos(phi) - 30;
     }
     return positions;
-  });
+  }, [count]);
 
   useFrame((state, dt) => {
     if (!starsRef.current || !active) return;
@@ -1036,6 +2544,7 @@ function WarpStars({ active }) {
     <points ref={starsRef}>
       <bufferGeometry>
         <bufferAttribute
+          key={count}
           attach="attributes-position"
           count={starPositions.length / 3}
           array={starPositions}
@@ -1070,8 +2579,24 @@ function CameraController({ introProgress, onIntroComplete }) {
   return null;
 }
 
+// ---- 5h) Camera restore after free rotation (geo quiz) ----------------------
+const GEO_OVERVIEW = { lon: 0, lat: 20 };
+
+function CameraRestore({ active }) {
+  const { camera } = useThree();
+  const wasActive = useRef(active);
+  useEffect(() => {
+    if (wasActive.current && !active) {
+      camera.position.set(0, 0, 2.6);
+      camera.lookAt(0, 0, 0);
+    }
+    wasActive.current = active;
+  }, [active, camera]);
+  return null;
+}
+
 // ---- 6) Main Scene ----------------------------------------------------------
-function Scene({ event, spinDirection, sentences, allEvents, currentIndex, reduceMotion, extraRotations, showIntro, introProgress, onIntroComplete }) {
+function Scene({ event, spinDirection, sentences, allEvents, currentIndex, reduceMotion, extraRotations, showIntro, introProgress, onIntroComplete, title, subtitle, onSelectEvent, travel, geo, onGeoGuess, onPickLocation, scrubTarget = null, visibleIndices = null, quality = QUALITY_TIERS.high }) {
   // Expose planet group to sync stars
   const planetGroup = useRef(null);
   const accent = event.accent || "#ff5454";
@@ -1090,17 +2615,21 @@ function Scene({ event, spinDirection, sentences, allEvents, currentIndex, reduc
 
       {/* Intro title */}
       {showIntro && introProgress < 0.8 && (
-        <IntroTitle progress={introProgress} />
+        <IntroTitle progress={introProgress} title={title} subtitle={subtitle} />
       )}
 
       {/* Warp speed effect during travel */}
-      <WarpStars active={showIntro && introProgress > 0.1 && introProgress < 0.9} />
+      <WarpStars active={showIntro && introProgress > 0.1 && introProgress < 0.9} count={quality.warpStars} />
 
       {/* Comets flying through space */}
       {!showIntro && <Comets />}
 
       {/* Starfield that rotates with the planet */}
-      {!showIntro && <Starfield followRef={planetGroup} />}
+      {!showIntro && <Starfield followRef={planetGroup} count={quality.stars} />}
+
+      {/* Geo quiz: let the player spin the view to look for the place */}
+      {geo && !geo.revealed && <OrbitControls enablePan={false} enableZoom={false} rotateSpeed={0.5} />}
+      <CameraRestore active={!!geo} />
 
       {/* Planet + marker - fade in during intro */}
       <group 
@@ -1109,69 +2638,288 @@ function Scene({ event, spinDirection, sentences, allEvents, currentIndex, reduc
         position={[showIntro ? 0 : -0.31, 0, 0]}
       >
         <Globe
-          targetLon={event.lon}
-          targetLat={event.lat}
-          spinDirection={spinDirection}
+          targetLon={geo ? (geo.revealed ? geo.target.lon : GEO_OVERVIEW.lon) : (scrubTarget || event).lon}
+          targetLat={geo ? (geo.revealed ? geo.target.lat : GEO_OVERVIEW.lat) : (scrubTarget || event).lat}
+          spinDirection={geo || scrubTarget ? 0 : spinDirection}
           accent={accent}
           allEvents={allEvents}
+          visibleIndices={visibleIndices}
           currentIndex={currentIndex}
           reduceMotion={reduceMotion}
           extraRotations={extraRotations || 0}
+          onSelectEvent={showIntro ? undefined : onSelectEvent}
+          travel={showIntro ? null : travel}
+          geo={geo}
+          onGeoGuess={onGeoGuess}
+          onPickLocation={showIntro ? undefined : onPickLocation}
+          quality={quality}
         />
       </group>
     </>
   );
 }
 
-// ---- 7) UI ------------------------------------------------------------------
-export default function App() {
-  const [selected, setSelected] = useState(0);
-  const [spinDirection, setSpinDirection] = useState(0);
-  const [reduceMotion, setReduceMotion] = useState(false);
-  const [parallax, setParallax] = useState({ x: 0, y: 0 });
-  const [extraRotations, setExtraRotations] = useState(0);
-  const [voiceEnabled, setVoiceEnabled] = useState(false);
-  const [speaking, setSpeaking] = useState(false);
-  const [mouth, setMouth] = useState(0.2);
-  const speechQueueRef = useRef([]);
-  const mouthTimerRef = useRef(null);
-  const [clockActive, setClockActive] = useState(false);
-  const [clockFrom, setClockFrom] = useState(null);
-  const [clockTo, setClockTo] = useState(null);
-  const [clockProg, setClockProg] = useState(0);
+// Feeds the frame times to the adaptive quality monitor (see quality.js)
+function FrameMonitor({ monitor, onSample }) {
+  useFrame((state, dt) => {
+    const sample = monitor.sample(dt * 1000, performance.now());
+    if (sample) onSample(sample);
+  });
+  return null;
+}
+
+// ---- 6b) Kiosk attract loop -------------------------------------------------
+// Écran d'accueil de la borne : le globe tourne d'un événement à l'autre avec une accroche
+function AttractLoop({ events, reduceMotion, flat = false, quality = QUALITY_TIERS.high }) {
+  const { t } = useI18n();
+  const [index, setIndex] = useState(0);
+
+  useEffect(() => {
+    const timer = setInterval(() => setIndex((current) => (current + 1) % events.length), ATTRACT_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [events.length]);
+
+  const event = events[index];
+  const accent = event.accent || "#4cfaff";
+  const teaser = splitSentences(event.text)[0];
+  return (
+    <div className="absolute inset-0" aria-hidden="true">
+      {flat ? (
+        <FlatMap events={events} currentIndex={index} accent={accent} reduceMotion={reduceMotion} />
+      ) : (
+        <Canvas
+          camera={{ position: [0, 0, 3.4], fov: 45 }}
+          gl={{ antialias: quality.antialias }}
+          dpr={[1, Math.min(quality.maxDpr, window.devicePixelRatio || 1)]}
+        >
+          <ambientLight intensity={0.8} />
+          <directionalLight position={[5, 3, 5]} intensity={1.1} />
+          <Suspense fallback={null}>
+            <Globe
+              targetLon={event.lon}
+              targetLat={event.lat}
+              spinDirection={1}
+              accent={accent}
+              allEvents={events}
+              currentIndex={index}
+              reduceMotion={reduceMotion}
+              extraRotations={1}
+              quality={quality}
+            />
+          </Suspense>
+        </Canvas>
+      )}
+      <div className="absolute inset-0 bg-black/60" />
+      <div
+        key={index}
+        className="absolute top-6 left-6 w-[min(28rem,60vw)] rounded-2xl border bg-black/60 px-6 py-4 text-left backdrop-blur animate-fadeIn"
+        style={{ borderColor: `${accent}88` }}
+      >
+        <p className="text-xs uppercase tracking-widest text-white/50">{t("kiosk.teaser")}</p>
+        <p className="mt-1 text-lg font-bold">
+          <span style={{ color: accent }}>{event.year}</span> · {event.title}
+        </p>
+        {teaser && <p className="mt-1 text-sm text-white/70 line-clamp-2">{teaser}</p>}
+      </div>
+    </div>
+  );
+}
+
+// ---- 6c) 2D fallback map (no WebGL) -----------------------------------------
+// Carte plate équirectangulaire : mêmes marqueurs, quiz géographique et placement en édition que le globe
+function FlatMap({ events, currentIndex, visibleIndices = null, accent = "#ffffff", reduceMotion = false, onSelectEvent, travel = null, geo = null, onGeoGuess, onPickLocation, scrubTarget = null }) {
+  const { t } = useI18n();
+  const svgRef = useRef(null);
+  const shown = useMemo(
+    () => events.map((event, index) => ({ event, index })).filter(({ index }) => !visibleIndices || visibleIndices.includes(index)),
+    [events, visibleIndices]
+  );
+  const route = useMemo(() => routeSegments(shown.map(({ event }) => event).sort((a, b) => a.year - b.year)), [shown]);
+
+  // Clicking the map: geo quiz guess, or event placement in the editor
+  const onMapClick = geo ? (!geo.revealed ? onGeoGuess : null) : onPickLocation;
+  const handleClick = (e) => {
+    if (!onMapClick) return;
+    const point = svgRef.current.createSVGPoint();
+    point.x = e.clientX;
+    point.y = e.clientY;
+    const { x, y } = point.matrixTransform(svgRef.current.getScreenCTM().inverse());
+    // Letterbox around the map
+    if (Math.abs(x) > 180 || Math.abs(y) > 90) return;
+    onMapClick(unproject({ x, y }));
+  };
+
+  const current = events[currentIndex];
+  const from = travel && travel.active ? events[travel.fromIndex] : null;
+  const traveller = from && from !== current ? project(interpolate(from, current, reduceMotion ? 1 : travel.progress)) : null;
+  const lines = (segments, props) => segments.map(([a, b], i) => {
+    const start = project(a);
+    const end = project(b);
+    return <line key={i} x1={start.x} y1={start.y} x2={end.x} y2={end.y} vectorEffect="non-scaling-stroke" {...props} />;
+  });
+
+  return (
+    <div className="absolute inset-0 z-0 bg-black" data-flat-map>
+      <svg
+        ref={svgRef}
+        className="h-full w-full"
+        viewBox={MAP_VIEWBOX}
+        preserveAspectRatio="xMidYMid meet"
+        onClick={handleClick}
+        style={{ cursor: onMapClick ? "crosshair" : undefined }}
+        role="img"
+        aria-label={t("map.label")}
+      >
+        <image href="/textures/earth/earth_atmos_2048.jpg" x={-180} y={-90} width={360} height={180} preserveAspectRatio="none" />
+        <rect x={-180} y={-90} width={360} height={180} fill="#000" opacity={0.25} />
+
+        {/* Quiz géographique : les markers trahiraient la réponse */}
+        {geo ? (
+          <>
+            {geo.guess && geo.revealed && lines(routeSegments([geo.guess, geo.target]), { stroke: "#fcd34d", strokeWidth: 2, strokeDasharray: "6 3" })}
+            {geo.guess && <circle cx={geo.guess.lon} cy={-geo.guess.lat} r={1.6} fill="#ffffff" />}
+            {geo.revealed && <circle cx={geo.target.lon} cy={-geo.target.lat} r={1.9} fill="#22c55e" />}
+          </>
+        ) : (
+          <>
+            {lines(route, { stroke: "#ffffff", strokeOpacity: 0.3, strokeWidth: 1, strokeDasharray: "4 4" })}
+            {shown.map(({ event, index }) => {
+              const active = index === currentIndex;
+              const color = event.accent || "#ffffff";
+              return (
+                <g
+                  key={`${event.year}-${index}`}
+                  onClick={onSelectEvent ? (e) => { e.stopPropagation(); onSelectEvent(index); } : undefined}
+                  style={{ cursor: onSelectEvent ? "pointer" : undefined }}
+                >
+                  <title>{`${event.year} · ${event.title}`}</title>
+                  {active && (
+                    <circle cx={event.lon} cy={-event.lat} r={3.2} fill={color} opacity={0.3}>
+                      {!reduceMotion && <animate attributeName="r" values="2.4;4.2;2.4" dur="2s" repeatCount="indefinite" />}
+                    </circle>
+                  )}
+                  <circle cx={event.lon} cy={-event.lat} r={active ? 1.8 : 1.3} fill={color} opacity={active ? 1 : 0.6} />
+                </g>
+              );
+            })}
+          </>
+        )}
+
+        {/* Trajet pendant la transition, position suivie pendant le défilement de la frise */}
+        {traveller && <circle cx={traveller.x} cy={traveller.y} r={1.4} fill={accent} />}
+        {scrubTarget && (
+          <circle cx={scrubTarget.lon} cy={-scrubTarget.lat} r={2.6} fill="none" stroke={accent} strokeWidth={2} vectorEffect="non-scaling-stroke" />
+        )}
+      </svg>
+    </div>
+  );
+}
+
+// Renders nothing instead of a Canvas whose WebGL context could not be created
+class WebGLBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { failed: false };
+  }
+
+  static getDerivedStateFromError() {
+    return { failed: true };
+  }
+
+  componentDidCatch() {
+    this.props.onError();
+  }
+
+  render() {
+    return this.state.failed ? null : this.props.children;
+  }
+}
+
+// ---- 7) UI ------------------------------------------------------------------
+// Resolve the route present in the URL on first load (deep link)
+function readInitialRoute(deck, kiosk) {
+  const route = parseHash(window.location.hash);
+  // No authoring on a kiosk
+  if (!route || (kiosk && route.mode === 'editor')) return { index: 0, mode: 'timeline', deepLink: false };
+  const index = route.mode === 'timeline' ? findEventIndex(deck.events, route.year) : 0;
+  if (index < 0) return { index: 0, mode: 'timeline', deepLink: false };
+  return { index, mode: route.mode, deepLink: true };
+}
+
+function TimelineApp({ deck, deckName, sourceDeck, onDeckChange, onSessionEnd }) {
+  const { locale, t } = useI18n();
+  const kiosk = useContext(KioskContext);
+  const events = deck.events;
+  const [initialRoute] = useState(() => readInitialRoute(deck, kiosk));
+  const skipIntroOnLoad = initialRoute.deepLink && shouldSkipIntro();
+  const [selected, setSelected] = useState(initialRoute.index);
+  const [spinDirection, setSpinDirection] = useState(0);
+  const [reduceMotion, setReduceMotion] = useState(false);
+  const [parallax, setParallax] = useState({ x: 0, y: 0 });
+  const [extraRotations, setExtraRotations] = useState(0);
+  const [voiceEnabled, setVoiceEnabled] = useState(false);
+  const [speaking, setSpeaking] = useState(false);
+  const [lipSync] = useState(createLipSync);
+  const narratorRef = useRef(null);
+  const revealerRef = useRef(null);
+  const audioNarratorRef = useRef(null);
+  // Narrator currently driving the transport controls (speech or recording)
+  const activeNarratorRef = useRef(null);
+  const recordingFallbackRef = useRef(null);
+  const trackWordsRef = useRef(true);
+  const [narration, setNarration] = useState({ status: "idle", index: 0, total: 0, finished: false });
+  const [narrationSettings, setNarrationSettings] = useState(loadNarrationSettings);
+  const [voices, setVoices] = useState([]);
+  const narrationSettingsRef = useRef(narrationSettings);
+  const voicesRef = useRef(voices);
+  const [clockActive, setClockActive] = useState(false);
+  const [clockFrom, setClockFrom] = useState(null);
+  const [clockTo, setClockTo] = useState(null);
+  const [clockProg, setClockProg] = useState(0);
   const [infoPanelWordsProgress, setInfoPanelWordsProgress] = useState([]);
-  const prevSelectedRef = useRef(0);
+  const prevSelectedRef = useRef(initialRoute.index);
   
   // Quiz states
-  const [gameMode, setGameMode] = useState('timeline'); // 'timeline', 'quiz', 'prediction'
+  const [gameMode, setGameMode] = useState(initialRoute.mode); // 'timeline', 'quiz', 'prediction'
   const [quizScore, setQuizScore] = useState(0);
-  const [hasVisitedAll, setHasVisitedAll] = useState(false);
-  const visitedEvents = useRef(new Set([0]));
+  const [hasVisitedAll, setHasVisitedAll] = useState(events.length === 1);
+  const visitedEvents = useRef(new Set([initialRoute.index]));
   
   // Intro states
-  const [showIntro, setShowIntro] = useState(true);
-  const [introProgress, setIntroProgress] = useState(0);
+  const [showIntro, setShowIntro] = useState(!skipIntroOnLoad);
+  const [introProgress, setIntroProgress] = useState(skipIntroOnLoad ? 1 : 0);
   const [introStarted, setIntroStarted] = useState(false);
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+  // No WebGL: flat map instead of the globe, and no 3D intro
+  const [flatMap, setFlatMap] = useState(() => shouldUseFlatMap());
 
-  const event = EVENTS[selected];
+  // Clamped: the editor can remove events
+  const event = events[Math.min(selected, events.length - 1)];
+  const isEditing = gameMode === 'editor';
   const sentences = useMemo(() => splitSentences(event.text), [event.text]);
   const accent = event.accent || "#ffffff";
 
-  // Handler functions defined before useEffects
-  const handleStartJourney = useCallback(() => {
-    console.log('Starting journey...');
-    setIntroStarted(true);
-  }, []);
+  // Category filter: navigation, markers, tour and quiz stay within these events
+  const categoryList = useMemo(() => usedCategories(deck.categories, events), [deck.categories, events]);
+  const [activeCategories, setActiveCategories] = useState(() => readTagsFromUrl(deck.categories));
+  const activeIndices = useMemo(() => filterIndices(events, activeCategories), [events, activeCategories]);
 
+  // Handler functions defined before useEffects
   const handleSkipIntro = useCallback(() => {
     console.log('Skipping intro...');
     setShowIntro(false);
     setIntroProgress(1);
   }, []);
 
+  const handleStartJourney = useCallback(() => {
+    console.log('Starting journey...');
+    if (flatMap) handleSkipIntro();
+    else setIntroStarted(true);
+  }, [flatMap, handleSkipIntro]);
+
   const selectIndex = useCallback(
     (index, { direction } = {}) => {
-      const total = EVENTS.length;
+      const total = events.length;
       const boundedIndex = ((index % total) + total) % total;
       const computedDirection =
         typeof direction === "number"
@@ -1183,8 +2931,8 @@ export default function App() {
           : 0;
       
       // Définir l'année de départ et d'arrivée pour l'horloge
-      const fromYear = EVENTS[selected].year;
-      const toYear = EVENTS[boundedIndex].year;
+      const fromYear = events[selected].year;
+      const toYear = events[boundedIndex].year;
       setClockFrom(fromYear);
       setClockTo(toYear);
       
@@ -1194,33 +2942,51 @@ export default function App() {
       
       // Track visited events
       visitedEvents.current.add(boundedIndex);
-      if (visitedEvents.current.size === EVENTS.length) {
+      if (activeIndices.every((visitedIndex) => visitedEvents.current.has(visitedIndex))) {
         setHasVisitedAll(true);
       }
       
       // Compute extra rotations proportional to year gap to simulate time
-      const currentYear = EVENTS[selected].year;
-      const nextYear = EVENTS[boundedIndex].year;
+      const currentYear = events[selected].year;
+      const nextYear = events[boundedIndex].year;
       const yearGap = Math.abs(nextYear - currentYear);
-      const allYears = EVENTS.map(e => e.year);
+      const allYears = events.map(e => e.year);
       const maxGap = allYears.reduce((m, y, i) => (i === 0 ? 0 : Math.max(m, Math.abs(y - allYears[i - 1]))), 0) || 1;
       // Normalize and map to [0.25, 1.75] turns (tweakable)
       const normalized = Math.min(1, yearGap / maxGap);
       const turns = reduceMotion ? 0 : 0.25 + normalized * 1.5;
       setExtraRotations(turns);
     },
-    [selected, reduceMotion]
+    [selected, reduceMotion, events, activeIndices]
   );
 
   const goToNext = useCallback(() => {
-    const nextIndex = (selected + 1) % EVENTS.length;
-    selectIndex(nextIndex, { direction: 1 });
-  }, [selected, selectIndex]);
+    selectIndex(stepInFilter(activeIndices, selected, 1), { direction: 1 });
+  }, [selected, selectIndex, activeIndices]);
 
   const goToPrev = useCallback(() => {
-    const prevIndex = (selected - 1 + EVENTS.length) % EVENTS.length;
-    selectIndex(prevIndex, { direction: -1 });
-  }, [selected, selectIndex]);
+    selectIndex(stepInFilter(activeIndices, selected, -1), { direction: -1 });
+  }, [selected, selectIndex, activeIndices]);
+
+  const handleToggleCategory = (id) => {
+    setActiveCategories((prev) => (prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]));
+  };
+
+  // Current selection, read when the filter changes; selecting an event does
+  // not re-run the effect (the palette may pick one outside the filter)
+  const selectionRef = useRef(null);
+  selectionRef.current = { selected, selectIndex, showIntro };
+
+  // A new filter: the quiz unlocks once its own events are visited, and the
+  // current event moves into the filter when it falls outside (also when
+  // leaving the editor)
+  useEffect(() => {
+    setHasVisitedAll(activeIndices.every((index) => visitedEvents.current.has(index)));
+    const current = selectionRef.current;
+    if (isEditing || activeIndices.includes(current.selected)) return;
+    // Sous l'écran d'accueil (filtre passé dans l'URL) : sans transition
+    current.selectIndex(stepInFilter(activeIndices, current.selected, 1), { direction: current.showIntro ? 0 : 1 });
+  }, [activeIndices, isEditing]);
 
   // Respect user motion preferences
   useEffect(() => {
@@ -1260,92 +3026,169 @@ export default function App() {
     return () => cancelAnimationFrame(raf);
   }, [introStarted]);
 
-  useEffect(() => {
-    const handleKeyDown = (keyboardEvent) => {
-      // Start journey with Space on welcome screen
-      if (showIntro && !introStarted && keyboardEvent.key === " ") {
-        keyboardEvent.preventDefault();
-        handleStartJourney();
-        return;
-      }
-      
-      // Skip intro with Space
-      if (showIntro && introStarted && keyboardEvent.key === " ") {
-        keyboardEvent.preventDefault();
-        handleSkipIntro();
-        return;
-      }
-      
-      if (keyboardEvent.key === "ArrowRight") {
-        keyboardEvent.preventDefault();
-        goToNext();
-      } else if (keyboardEvent.key === "ArrowLeft") {
-        keyboardEvent.preventDefault();
-        goToPrev();
-      }
-    };
-    window.addEventListener("keydown", handleKeyDown);
-    return () => window.removeEventListener("keydown", handleKeyDown);
-  }, [goToNext, goToPrev, showIntro, introStarted]);
 
   // ---- 7b) Text-to-Speech orchestration -------------------------------------
-  const stopSpeaking = useCallback(() => {
-    try { window.speechSynthesis?.cancel(); } catch (_) {}
-    setSpeaking(false);
-    if (mouthTimerRef.current) {
-      clearInterval(mouthTimerRef.current);
-      mouthTimerRef.current = null;
+  // Affichage mot à mot : minuteries estimées, recalées sur les vrais événements "boundary"
+  const getRevealer = useCallback(() => {
+    if (!revealerRef.current) {
+      revealerRef.current = createWordRevealer({ onChange: setInfoPanelWordsProgress });
     }
-    setMouth(0.2);
+    return revealerRef.current;
   }, []);
 
-  const speakSentences = useCallback((items, accentColor) => {
-    if (!voiceEnabled || typeof window === 'undefined' || !window.speechSynthesis) return;
+  // Un seul narrateur par session : les callbacks ne passent que par des setters/refs
+  const getNarrator = useCallback(() => {
+    if (!narratorRef.current && isSpeechSupported()) {
+      narratorRef.current = createNarrator({
+        onStateChange: (state) => {
+          setNarration(state);
+          setSpeaking(state.status === "speaking");
+          if (trackWordsRef.current) {
+            const revealer = getRevealer();
+            if (state.status === "paused") revealer.pause();
+            else if (state.status === "speaking") revealer.resume();
+            else revealer.completeAll();
+          }
+          if (state.status === "paused") lipSync.pause();
+          else if (state.status === "speaking") lipSync.resume();
+          else lipSync.stop();
+        },
+        // Previous sentences fully shown (skip), the current one restarts
+        onSentence: (index, text) => {
+          lipSync.speakText(text, narrationSettingsRef.current.rate);
+          if (trackWordsRef.current) getRevealer().startSentence(index, narrationSettingsRef.current.rate);
+        },
+        // reveal words on speech event
+        onWord: (index, charIndex) => {
+          lipSync.boundary(charIndex);
+          if (trackWordsRef.current) getRevealer().boundary(index, charIndex);
+        },
+      });
+    }
+    return narratorRef.current;
+  }, [lipSync, getRevealer]);
+
+  // Enregistrement audio : timings → mots affichés, niveau sonore → bouche du robot
+  const getAudioNarrator = useCallback(() => {
+    if (!audioNarratorRef.current) {
+      audioNarratorRef.current = createAudioNarrator({
+        onStateChange: (state) => {
+          setNarration(state);
+          setSpeaking(state.status === "speaking");
+        },
+        onProgress: setInfoPanelWordsProgress,
+        onLevel: (level) => lipSync.setLevel(level),
+        // Recording missing or blocked: fall back to speech synthesis
+        onError: () => recordingFallbackRef.current?.(),
+      });
+    }
+    return audioNarratorRef.current;
+  }, [lipSync]);
+
+  const stopSpeaking = useCallback(() => {
+    // Detach the revealer first so the narrator's idle state doesn't complete the text
+    trackWordsRef.current = false;
+    recordingFallbackRef.current = null;
+    revealerRef.current?.stop();
+    audioNarratorRef.current?.stop();
+    narratorRef.current?.stop();
+    lipSync.stop();
+    setSpeaking(false);
+  }, [lipSync]);
+
+  // Voix choisie pour la langue courante, sinon sélection automatique
+  const resolveVoice = useCallback((list, settings) => {
+    const uri = settings.voices[locale];
+    return list.find((voice) => voice.voiceURI === uri) || pickVoice(list, locale);
+  }, [locale]);
+
+  // force: speak even when the narration toggle is off (explicit user request)
+  // trackWords: drive the InfoPanel word reveal (off for other speakers)
+  const speakSentences = useCallback((items, accentColor, { force = false, trackWords = true } = {}) => {
+    if ((!voiceEnabled && !force) || !isSpeechSupported()) return;
+    const narrator = getNarrator();
     stopSpeaking();
+    activeNarratorRef.current = narrator;
+    trackWordsRef.current = trackWords;
     // Words setup for each phrase
-    setInfoPanelWordsProgress(items.map(() => 1));
-    const synth = window.speechSynthesis;
-    const voices = synth.getVoices();
-    const preferred = voices.find(v => /fr|Francais|French/i.test(v.lang)) || voices[0];
-    speechQueueRef.current = [];
-    items.forEach((text, idx) => {
-      const u = new SpeechSynthesisUtterance(text);
-      if (preferred) u.voice = preferred;
-      u.rate = 1.0; // speed
-      u.pitch = 0.9; // slightly robotic
-      u.volume = 1.0;
-      u.onstart = () => {
-        setSpeaking(true);
-        // Fake mouth movement: vary openness quickly while speaking
-        if (!mouthTimerRef.current) {
-          mouthTimerRef.current = setInterval(() => {
-            setMouth(prev => {
-              const next = Math.random() * 0.9 + 0.1;
-              return next;
-            });
-          }, 90);
-        }
-      };
-      // reveal next word on speech event
-      u.onboundary = (e) => {
-        if (e.name === 'word') {
-          setInfoPanelWordsProgress(progArr => {
-            const copy = progArr.slice();
-            copy[idx] = (copy[idx] || 1) + 1;
-            return copy;
-          });
-        }
-      };
-      u.onend = () => {
-        if (idx === items.length - 1) {
-          stopSpeaking();
-        }
-      };
-      speechQueueRef.current.push(u);
+    if (trackWords) getRevealer().load(items);
+    const settings = narrationSettingsRef.current;
+    narrator.configure({
+      lang: getLocaleInfo(locale).speechLang,
+      voice: resolveVoice(voicesRef.current.length ? voicesRef.current : window.speechSynthesis.getVoices(), settings),
+      rate: settings.rate,
     });
-    // Chain play
-    speechQueueRef.current.forEach(utt => synth.speak(utt));
-  }, [stopSpeaking, voiceEnabled]);
+    narrator.speak(items);
+  }, [getNarrator, getRevealer, stopSpeaking, resolveVoice, voiceEnabled, locale]);
+
+  // Narration of the current event: its recording when the deck has one, otherwise the synthesized voice
+  const narrateEvent = useCallback(() => {
+    const recording = event.narration;
+    if (!recording || typeof Audio === "undefined") {
+      speakSentences(sentences, accent);
+      return;
+    }
+    stopSpeaking();
+    const player = getAudioNarrator();
+    activeNarratorRef.current = player;
+    recordingFallbackRef.current = () => speakSentences(sentences, accent);
+    player.speak(recording, sentences, narrationSettingsRef.current.rate);
+  }, [event.narration, sentences, accent, speakSentences, stopSpeaking, getAudioNarrator]);
+
+  // Voices load asynchronously in most browsers
+  useEffect(() => {
+    if (!isSpeechSupported()) return undefined;
+    const synth = window.speechSynthesis;
+    const refresh = () => setVoices(synth.getVoices());
+    refresh();
+    synth.addEventListener?.("voiceschanged", refresh);
+    return () => synth.removeEventListener?.("voiceschanged", refresh);
+  }, []);
+
+  useEffect(() => {
+    voicesRef.current = voices;
+  }, [voices]);
+
+  // Persist settings and apply them from the next sentence on
+  useEffect(() => {
+    narrationSettingsRef.current = narrationSettings;
+    saveNarrationSettings(narrationSettings);
+    narratorRef.current?.configure({ rate: narrationSettings.rate, voice: resolveVoice(voices, narrationSettings) });
+    audioNarratorRef.current?.configure({ rate: narrationSettings.rate });
+  }, [narrationSettings, voices, resolveVoice]);
+
+  useEffect(() => () => {
+    revealerRef.current?.stop();
+    audioNarratorRef.current?.stop();
+    narratorRef.current?.stop();
+  }, []);
+
+  const narrationControls = {
+    state: narration,
+    rate: narrationSettings.rate,
+    voiceURI: narrationSettings.voices[locale] || "",
+    voices: voicesForLocale(voices, locale),
+    onPause: () => activeNarratorRef.current?.pause(),
+    onResume: () => activeNarratorRef.current?.resume(),
+    onReplay: () => activeNarratorRef.current?.replay(),
+    onSkip: () => activeNarratorRef.current?.skip(),
+    onRateChange: (rate) => setNarrationSettings((prev) => ({ ...prev, rate })),
+    onVoiceChange: (voiceURI) => setNarrationSettings((prev) => ({ ...prev, voices: { ...prev.voices, [locale]: voiceURI } })),
+    typewriter: narrationSettings.typewriter,
+    onToggleTypewriter: () => setNarrationSettings((prev) => ({ ...prev, typewriter: !prev.typewriter })),
+    captions: narrationSettings.captions,
+    onToggleCaptions: () => setNarrationSettings((prev) => ({ ...prev, captions: !prev.captions })),
+    onExportTranscript: kiosk ? undefined : (format) => {
+      // Same pacing as the tour: estimated speech, then the globe transition between events
+      const cues = buildTranscript(events, {
+        split: splitSentences,
+        rate: narrationSettings.rate,
+        transitionMs: AUTOPLAY_DURATION + TRANSITION_SETTLE_MS,
+      });
+      const text = format === "srt" ? toSRT(cues) : toWebVTT(cues, { title: deck.title });
+      downloadFile(`${deckName}-${locale}.${format}`, text, format === "srt" ? "application/x-subrip" : "text/vtt");
+    },
+  };
 
   // Trigger narration ONLY at the end of a transition
   useEffect(() => {
@@ -1357,11 +3200,17 @@ export default function App() {
     }
     
     // Démarrer la narration uniquement après la fin de la transition
-    if (!clockActive && voiceEnabled) {
-      speakSentences(sentences, accent);
+    if (voiceEnabled && !isEditing) {
+      narrateEvent();
+    } else if (narrationSettings.typewriter && !showIntro && !isEditing) {
+      // Sans voix : effet machine à écrire au rythme de la vitesse choisie
+      getRevealer().typewrite(sentences, narrationSettingsRef.current.rate);
+    } else {
+      revealerRef.current?.stop();
+      setInfoPanelWordsProgress(sentences.map(() => FULLY_REVEALED));
     }
     // eslint-disable-next-line
-  }, [clockActive, sentences, voiceEnabled, stopSpeaking, speakSentences, accent]);
+  }, [clockActive, sentences, voiceEnabled, stopSpeaking, narrateEvent, narrationSettings.typewriter, showIntro, isEditing]);
 
   // Met à jour l'horloge lors d'une transition
   useEffect(() => {
@@ -1376,7 +3225,7 @@ export default function App() {
         const prog = Math.min(1, elapsed / AUTOPLAY_DURATION);
         setClockProg(prog);
         if (prog < 1) raf = requestAnimationFrame(tick);
-        else setTimeout(() => setClockActive(false), 400); // petit délai avant réapparition info
+        else setTimeout(() => setClockActive(false), TRANSITION_SETTLE_MS);
       };
       raf = requestAnimationFrame(tick);
     } else {
@@ -1385,17 +3234,308 @@ export default function App() {
     return () => raf && cancelAnimationFrame(raf);
   }, [selected, spinDirection]);
 
-  // reset progress if not voiceEnabled
+  // Quiz handlers
+  const [quizQuestions, setQuizQuestions] = useState(null);
+  const [geoQuiz, setGeoQuiz] = useState(null); // { target, guess, revealed } during a geo question
+
+  const handleGeoGuess = useCallback((guess) => {
+    setGeoQuiz((prev) => (prev && !prev.revealed ? { ...prev, guess } : prev));
+  }, []);
+
+  const buildQuiz = useCallback(() => {
+    const visited = [...visitedEvents.current].filter((index) => activeIndices.includes(index));
+    // Direct link to #/quiz: nothing explored yet, cover the whole (filtered) deck
+    const indices = visited.length > 1 ? visited : activeIndices;
+    return [...generateQuiz(events, indices, t), ...selectDeckQuestions(deck.quiz, events, indices)];
+  }, [events, deck.quiz, t, activeIndices]);
+
+  // Questions are drawn once per quiz session, when entering the quiz
   useEffect(() => {
-    if (!voiceEnabled) setInfoPanelWordsProgress(sentences.map(() => 999));
-  }, [voiceEnabled, sentences]);
+    if (gameMode === 'quiz') setQuizQuestions((prev) => prev || buildQuiz());
+    else if (gameMode === 'timeline') setQuizQuestions(null);
+  }, [gameMode, buildQuiz]);
 
-  // Quiz handlers
   const handleStartQuiz = () => {
     setGameMode('quiz');
     stopSpeaking();
   };
 
+  // ---- Guided tour ----------------------------------------------------------
+  const [tour, setTour] = useState(null); // { remaining, paused } while the tour is on
+  const [tourSettings, setTourSettings] = useState(loadTourSettings);
+  const [tourCountdown, setTourCountdown] = useState(null); // { startedAt, duration } of the dwell
+  // With the voice on, the tour waits for the narration instead of the dwell time
+  const tourWaitsForNarration = voiceEnabled && (isSpeechSupported() || !!event.narration);
+
+  useEffect(() => {
+    saveTourSettings(tourSettings);
+  }, [tourSettings]);
+
+  useEffect(() => {
+    if (gameMode !== 'timeline') setTour(null);
+  }, [gameMode]);
+
+  // Latest handler: a new closure on every render would restart the dwell timer
+  const startQuizRef = useRef(handleStartQuiz);
+  startQuizRef.current = handleStartQuiz;
+
+  // Move on once the event has been narrated (or shown for the dwell time)
+  useEffect(() => {
+    setTourCountdown(null);
+    if (!tour || tour.paused || clockActive || showIntro || gameMode !== 'timeline') return undefined;
+    if (tourWaitsForNarration && !narration.finished) return undefined;
+    const duration = tourWaitsForNarration ? PAUSE_AFTER_NARRATION_MS : tourSettings.dwellSeconds * 1000;
+    if (!tourWaitsForNarration) setTourCountdown({ startedAt: performance.now(), duration });
+    const timer = setTimeout(() => {
+      if (tour.remaining > 0) {
+        setTour({ ...tour, remaining: tour.remaining - 1 });
+        goToNext();
+        return;
+      }
+      setTour(null);
+      if (tourSettings.quizAtEnd && activeIndices.every((index) => visitedEvents.current.has(index))) startQuizRef.current();
+    }, duration);
+    return () => clearTimeout(timer);
+  }, [tour, clockActive, showIntro, gameMode, tourWaitsForNarration, narration.finished, tourSettings, goToNext, activeIndices]);
+
+  // Any interaction outside the tour controls hands control back to the user
+  useEffect(() => {
+    if (!tour || tour.paused) return undefined;
+    const pauseTour = (domEvent) => {
+      if (domEvent.target.closest?.('[data-tour-control]')) return;
+      setTour((prev) => (prev ? { ...prev, paused: true } : prev));
+    };
+    const types = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+    types.forEach((type) => window.addEventListener(type, pauseTour, true));
+    return () => types.forEach((type) => window.removeEventListener(type, pauseTour, true));
+  }, [tour]);
+
+  const handleToggleTour = () => {
+    if (tour && !tour.paused) {
+      setTour({ ...tour, paused: true });
+      return;
+    }
+    setTour(tour ? { ...tour, paused: false } : startTour(activeIndices.length));
+    // Narration stopped by hand: read the event again so the tour can go on
+    if (tourWaitsForNarration && !clockActive && narration.status === 'idle' && !narration.finished) narrateEvent();
+  };
+
+  const tourControls = {
+    active: !!tour,
+    paused: !!tour?.paused,
+    countdown: tourCountdown,
+    progress: narration.finished ? 1 : narration.total ? narration.index / narration.total : 0,
+    onToggle: handleToggleTour,
+    dwellSeconds: tourSettings.dwellSeconds,
+    onDwellChange: (dwellSeconds) => setTourSettings((prev) => ({ ...prev, dwellSeconds })),
+    quizAtEnd: tourSettings.quizAtEnd,
+    onToggleQuizAtEnd: () => setTourSettings((prev) => ({ ...prev, quizAtEnd: !prev.quizAtEnd })),
+  };
+
+  // ---- Adaptive rendering quality -------------------------------------------
+  const [qualitySettings, setQualitySettings] = useState(loadQualitySettings);
+  const [autoTier, setAutoTier] = useState('high');
+  const [frameStats, setFrameStats] = useState(null); // { frameMs, fps } of the last sample window
+  const [frameMonitor] = useState(createFrameMonitor);
+  const tier = qualitySettings.mode === 'auto' ? autoTier : qualitySettings.mode;
+  const quality = QUALITY_TIERS[tier];
+
+  useEffect(() => {
+    saveQualitySettings(qualitySettings);
+  }, [qualitySettings]);
+
+  // A new tier or mode: measure the new settings from scratch
+  useEffect(() => {
+    frameMonitor.reset();
+  }, [frameMonitor, tier]);
+
+  const handleFrameSample = (sample) => {
+    if (qualitySettings.stats && !kiosk) setFrameStats(sample);
+    if (qualitySettings.mode === 'auto' && sample.step !== 0) setAutoTier((current) => stepTier(current, sample.step));
+  };
+
+  const qualityControls = {
+    mode: qualitySettings.mode,
+    tier,
+    onModeChange: (mode) => setQualitySettings((prev) => ({ ...prev, mode })),
+    stats: qualitySettings.stats,
+    onToggleStats: () => setQualitySettings((prev) => ({ ...prev, stats: !prev.stats })),
+  };
+
+  // ---- Chronological scrubber -----------------------------------------------
+  const [scrubYear, setScrubYear] = useState(null);
+  const scrubTarget = useMemo(() => (scrubYear === null ? null : locationAtYear(events, scrubYear)), [events, scrubYear]);
+
+  const handleScrubEnd = (index, dragged) => {
+    setScrubYear(null);
+    if (!dragged && index !== selected) {
+      selectIndex(index);
+      return;
+    }
+    // The globe is already there: select without a new transition (nor extra spins)
+    setSpinDirection(0);
+    if (index !== selected) selectIndex(index, { direction: 0 });
+  };
+
+  // ---- Command palette ------------------------------------------------------
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const paletteAvailable = gameMode === 'timeline' && !showLeaderboard;
+
+  const handleToggleVoice = () => {
+    const next = !voiceEnabled;
+    setVoiceEnabled(next);
+    if (!next) stopSpeaking();
+  };
+
+  useEffect(() => {
+    if (!paletteAvailable) setPaletteOpen(false);
+  }, [paletteAvailable]);
+
+  const handlePaletteSelect = (index) => {
+    if (showIntro) handleSkipIntro();
+    if (index !== selected) selectIndex(index);
+  };
+
+  const paletteCommands = [
+    showIntro && { id: 'skip-intro', label: t("intro.skip"), run: handleSkipIntro },
+    !showIntro && { id: 'quiz', label: t("palette.startQuiz"), keywords: 'quiz', run: handleStartQuiz },
+    { id: 'narration', label: voiceEnabled ? t("controls.voiceOff") : t("controls.voiceOn"), keywords: 'voix voice narration', run: handleToggleVoice },
+    !showIntro && { id: 'tour', label: tour && !tour.paused ? t("tour.pause") : tour ? t("tour.resume") : t("tour.play"), keywords: 'autoplay', run: handleToggleTour },
+    { id: 'captions', label: t("captions.toggle"), keywords: 'cc', run: narrationControls.onToggleCaptions },
+    { id: 'leaderboard', label: t("leaderboard.open"), run: () => setShowLeaderboard(true) },
+    { id: 'shortcuts', label: t("shortcuts.title"), keywords: 'clavier keyboard aide help ?', run: () => setHelpOpen(true) },
+  ].filter(Boolean);
+
+  // ---- Keyboard shortcuts ---------------------------------------------------
+  const [shortcutRegistry] = useState(createShortcutRegistry);
+  const [helpOpen, setHelpOpen] = useState(false);
+  // gameMode, plus the welcome screen, the intro and the dialogs on top
+  const screenMode = showIntro && gameMode === 'timeline' ? (introStarted ? 'intro' : 'welcome') : gameMode;
+  const shortcutMode = showLeaderboard || paletteOpen || helpOpen ? 'dialog' : screenMode;
+  const shortcutModeRef = useRef(shortcutMode);
+  shortcutModeRef.current = shortcutMode;
+
+  const handleLeaveOverlay = () => {
+    stopSpeaking();
+    setGameMode('timeline');
+  };
+
+  const jumpTo = (index) => {
+    if (index !== undefined && index !== selected) selectIndex(index);
+  };
+
+  const appShortcuts = [
+    { keys: [' '], modes: ['welcome'], label: 'shortcuts.start', run: handleStartJourney },
+    { keys: [' '], modes: ['intro'], label: 'shortcuts.skipIntro', run: handleSkipIntro },
+    { keys: ['ArrowRight'], modes: ['timeline'], label: 'shortcuts.next', repeat: true, run: goToNext },
+    { keys: ['ArrowLeft'], modes: ['timeline'], label: 'shortcuts.prev', repeat: true, run: goToPrev },
+    { keys: ['Home'], modes: ['timeline'], label: 'shortcuts.first', run: () => jumpTo(activeIndices[0]) },
+    { keys: ['End'], modes: ['timeline'], label: 'shortcuts.last', run: () => jumpTo(activeIndices[activeIndices.length - 1]) },
+    { keys: [DIGIT], modes: ['timeline'], label: 'shortcuts.jump', run: (digit) => jumpTo(activeIndices[digit - 1]) },
+    { keys: ['n'], modes: ['timeline'], label: 'shortcuts.narration', run: handleToggleVoice },
+    // Ctrl+K / ⌘K anywhere, "/" outside text fields
+    {
+      keys: ['Mod+k'],
+      modes: ['welcome', 'intro', 'timeline', 'dialog'],
+      label: 'shortcuts.palette',
+      inFields: true,
+      enabled: paletteOpen || paletteAvailable,
+      run: () => {
+        setHelpOpen(false);
+        setPaletteOpen((open) => !open);
+      },
+    },
+    {
+      keys: ['/'],
+      modes: ['welcome', 'intro', 'timeline', 'dialog'],
+      label: 'shortcuts.palette',
+      enabled: paletteAvailable && !paletteOpen,
+      run: () => {
+        setHelpOpen(false);
+        setPaletteOpen(true);
+      },
+    },
+    { keys: ['Escape'], modes: ['quiz', 'prediction'], label: 'shortcuts.leave', run: handleLeaveOverlay },
+    {
+      keys: ['Escape'],
+      modes: ['dialog'],
+      label: 'shortcuts.close',
+      enabled: !paletteOpen,
+      run: () => (helpOpen ? setHelpOpen(false) : setShowLeaderboard(false)),
+    },
+    {
+      keys: ['?'],
+      modes: ['welcome', 'intro', 'timeline', 'quiz', 'prediction', 'dialog'],
+      label: 'shortcuts.help',
+      enabled: !paletteOpen && !showLeaderboard,
+      run: () => setHelpOpen((open) => !open),
+    },
+  ];
+
+  // TimelineApp provides the registry, so it registers its own group directly
+  useEffect(() => {
+    shortcutRegistry.set('app', appShortcuts);
+  });
+
+  useEffect(() => {
+    const onKeyDown = (keyboardEvent) => shortcutRegistry.handle(keyboardEvent, shortcutModeRef.current);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [shortcutRegistry]);
+
+  useEffect(() => {
+    if (isEditing) setHelpOpen(false);
+  }, [isEditing]);
+
+  // ---- Touch gestures & gamepad ---------------------------------------------
+  // Latest handlers, so the listeners are not re-attached on every render
+  const inputActionsRef = useRef(null);
+  inputActionsRef.current = { goToNext, goToPrev, handleToggleVoice };
+
+  // Swipe on the globe: left → next event, right → previous; long-press toggles the narration
+  useEffect(() => {
+    if (gameMode !== 'timeline' || showIntro) return undefined;
+    return attachGestures(window, {
+      accept: (pointerEvent) => !!pointerEvent.target.closest?.('canvas, [data-flat-map]'),
+      onSwipeLeft: () => inputActionsRef.current.goToNext(),
+      onSwipeRight: () => inputActionsRef.current.goToPrev(),
+      onLongPress: () => inputActionsRef.current.handleToggleVoice(),
+    });
+  }, [gameMode, showIntro]);
+
+  const handleGamepadButton = (button) => {
+    // Dialogs, quiz and predictions: the D-pad moves the focus, A presses the focused button
+    const focusMode = showLeaderboard || paletteOpen || helpOpen || (!showIntro && gameMode !== 'timeline');
+    if (focusMode) {
+      if (button === 'up' || button === 'left' || button === 'prev') moveFocus(-1);
+      else if (button === 'down' || button === 'right' || button === 'next') moveFocus(1);
+      else if (button === 'confirm') activateFocused();
+      else if (button === 'back' && paletteOpen) setPaletteOpen(false);
+      else if (button === 'back' && showLeaderboard) setShowLeaderboard(false);
+      else if (button === 'back' && helpOpen) setHelpOpen(false);
+      return;
+    }
+    if (showIntro) {
+      if (button === 'start') handleSkipIntro();
+      else if (button === 'confirm' && !introStarted) handleStartJourney();
+      return;
+    }
+    if (button === 'left' || button === 'prev') goToPrev();
+    else if (button === 'right' || button === 'next') goToNext();
+  };
+
+  const gamepadHandlerRef = useRef(handleGamepadButton);
+  gamepadHandlerRef.current = handleGamepadButton;
+
+  useEffect(() => watchGamepads((button) => gamepadHandlerRef.current(button)), []);
+
+  // ---- Kiosk: back to the welcome screen for the next visitor ---------------
+  const tourRunning = !!tour && !tour.paused;
+  useEffect(() => {
+    if (!kiosk || (showIntro && !introStarted) || tourRunning) return undefined;
+    return watchIdle(kiosk.idleSeconds * 1000, onSessionEnd);
+  }, [kiosk, showIntro, introStarted, tourRunning, onSessionEnd]);
+
   const handleQuizComplete = (finalScore) => {
     setQuizScore(finalScore);
     setGameMode('prediction');
@@ -1405,175 +3545,434 @@ export default function App() {
     setGameMode('timeline');
     setQuizScore(0);
     setHasVisitedAll(false);
-    visitedEvents.current = new Set([0]);
-    setSelected(0);
+    visitedEvents.current = new Set([activeIndices[0]]);
+    setSelected(activeIndices[0]);
     setSpinDirection(0);
   };
 
+  // ---- Authoring mode -------------------------------------------------------
+  const handleStartEditing = () => {
+    stopSpeaking();
+    setGameMode('editor');
+  };
+
+  // Sélection immédiate (sans transition) pour éditer
+  const handleEditorSelect = (index) => {
+    if (index !== selected) selectIndex(index, { direction: 0 });
+  };
+
+  const handlePickLocation = ({ lon, lat }) => {
+    onDeckChange({
+      ...sourceDeck,
+      events: updateEvent(sourceDeck.events, selected, { lon: roundCoordinate(lon), lat: roundCoordinate(lat) }),
+    });
+  };
+
+  // ---- 7c) Hash routing (deep links + back/forward) -------------------------
+  const applyRoute = useCallback((route) => {
+    if (!route || (kiosk && route.mode === 'editor')) return;
+    if (route.mode === 'timeline') {
+      const index = findEventIndex(events, route.year);
+      if (index >= 0 && index !== selected) selectIndex(index);
+      setGameMode('timeline');
+      return;
+    }
+    stopSpeaking();
+    setGameMode(route.mode);
+  }, [events, selected, selectIndex, stopSpeaking, kiosk]);
+
+  const applyRouteRef = useRef(applyRoute);
+  applyRouteRef.current = applyRoute;
+
+  useEffect(() => {
+    const onNavigate = () => applyRouteRef.current(parseHash(window.location.hash));
+    window.addEventListener('popstate', onNavigate);
+    window.addEventListener('hashchange', onNavigate);
+    return () => {
+      window.removeEventListener('popstate', onNavigate);
+      window.removeEventListener('hashchange', onNavigate);
+    };
+  }, []);
+
+  // Mirror the current state in the URL (not during the welcome screen)
+  useEffect(() => {
+    if (showIntro) return;
+    pushHash(formatHash({ mode: gameMode, year: events[selected].year }));
+  }, [showIntro, gameMode, selected, events]);
+
   return (
-    <div
-      className="relative w-screen h-screen bg-black text-white overflow-hidden"
-      style={{fontFamily: 'Inter, Segoe UI, Arial, sans-serif'}}
-      onMouseMove={(e) => {
-        const { innerWidth, innerHeight } = window;
-        const x = (e.clientX / innerWidth - 0.5) * 2;
-        const y = (e.clientY / innerHeight - 0.5) * 2;
-        setParallax({ x, y });
-      }}
-    >
-      {/* Intro Screen - Before everything */}
-      {showIntro && !introStarted && (
-        <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black" style={{ pointerEvents: 'auto' }}>
-          <div className="text-center space-y-8 animate-fadeIn" style={{ zIndex: 101 }}>
-            <div className="space-y-4">
-              <h1 
-                className="holographic text-6xl md:text-8xl font-extrabold tracking-wider"
-                style={{
-                  textShadow: '0 0 40px #4cfaff, 0 0 80px #3b82f6, 0 0 120px #60a5fa',
-                  letterSpacing: '0.15em'
-                }}
-              >
-                HISTOIRE DE LA TECH
-              </h1>
-              <p 
-                className="text-xl md:text-2xl text-cyan-200/80 font-light tracking-widest"
-                style={{
-                  textShadow: '0 0 20px #4cfaffaa',
+    <ShortcutContext.Provider value={shortcutRegistry}>
+      <div
+        className="relative w-screen h-screen bg-black text-white overflow-hidden"
+        style={{fontFamily: 'Inter, Segoe UI, Arial, sans-serif'}}
+        onMouseMove={(e) => {
+          const { innerWidth, innerHeight } = window;
+          const x = (e.clientX / innerWidth - 0.5) * 2;
+          const y = (e.clientY / innerHeight - 0.5) * 2;
+          setParallax({ x, y });
+        }}
+      >
+        {/* Intro Screen - Before everything */}
+        {showIntro && !introStarted && (
+          <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black" style={{ pointerEvents: 'auto' }}>
+            {kiosk && <AttractLoop events={events} reduceMotion={reduceMotion} flat={flatMap} quality={quality} />}
+            <LanguageSwitcher className="absolute top-6 right-6 z-[102]" />
+            <div className="relative text-center space-y-8 animate-fadeIn" style={{ zIndex: 101 }}>
+              <div className="space-y-4">
+                <h1 
+                  className="holographic text-6xl md:text-8xl font-extrabold tracking-wider"
+                  style={{
+                    textShadow: '0 0 40px #4cfaff, 0 0 80px #3b82f6, 0 0 120px #60a5fa',
+                    letterSpacing: '0.15em'
+                  }}
+                >
+                  {deck.title.toUpperCase()}
+                </h1>
+                <p 
+                  className="text-xl md:text-2xl text-cyan-200/80 font-light tracking-widest"
+                  style={{
+                    textShadow: '0 0 20px #4cfaffaa',
+                  }}
+                >
+                  {deck.subtitle}
+                </p>
+              </div>
+            
+              <button
+                onClick={handleStartJourney}
+                className="mt-12 px-12 py-5 rounded-full font-bold text-xl transition-all hover:scale-110 animate-pulse cursor-pointer"
+                style={{ 
+                  backgroundColor: '#4cfaff',
+                  color: '#000',
+                  boxShadow: '0 0 40px #4cfaffaa, 0 10px 30px -10px #3b82f6aa',
+                  pointerEvents: 'auto'
                 }}
               >
-                Un voyage à travers le temps
-              </p>
-            </div>
-            
-            <button
-              onClick={handleStartJourney}
-              className="mt-12 px-12 py-5 rounded-full font-bold text-xl transition-all hover:scale-110 animate-pulse cursor-pointer"
-              style={{ 
-                backgroundColor: '#4cfaff',
-                color: '#000',
-                boxShadow: '0 0 40px #4cfaffaa, 0 10px 30px -10px #3b82f6aa',
-                pointerEvents: 'auto'
-              }}
-            >
-              🚀 Commencer le voyage
-            </button>
+                {t("intro.start")}
+              </button>
             
-            <p className="text-sm text-white/40 mt-8">
-              Ou appuyez sur <kbd className="px-2 py-1 bg-white/10 rounded">ESPACE</kbd> pour démarrer
-            </p>
+              {!kiosk && (
+                <p className="text-sm text-white/40 mt-8">
+                  {t("intro.pressBefore")} <kbd className="px-2 py-1 bg-white/10 rounded">{t("intro.spaceKey")}</kbd> {t("intro.pressAfter")}
+                </p>
+              )}
+
+              <button
+                onClick={() => setShowLeaderboard(true)}
+                className="px-6 py-2 rounded-full text-sm border border-white/20 text-white/70 hover:text-white hover:bg-white/10 transition"
+              >
+                {t("leaderboard.open")}
+              </button>
             
-            {/* Team members */}
-            <div className="mt-16 pt-8 border-t border-white/10">
-              <p className="text-xs text-white/30 mb-3 uppercase tracking-widest">Réalisé par</p>
-              <div className="flex flex-wrap justify-center gap-x-6 gap-y-2 text-sm text-white/50">
-                <span className="hover:text-cyan-300 transition-colors">Mael Jerome</span>
-                <span className="text-white/20">•</span>
-                <span className="hover:text-cyan-300 transition-colors">Rami Nebili</span>
-                <span className="text-white/20">•</span>
-                <span className="hover:text-cyan-300 transition-colors">Noé Chauvin</span>
-                <span className="text-white/20">•</span>
-                <span className="hover:text-cyan-300 transition-colors">Louis Nourry</span>
+              {/* Team members */}
+              <div className="mt-16 pt-8 border-t border-white/10">
+                <p className="text-xs text-white/30 mb-3 uppercase tracking-widest">{t("intro.credits")}</p>
+                <div className="flex flex-wrap justify-center gap-x-6 gap-y-2 text-sm text-white/50">
+                  <span className="hover:text-cyan-300 transition-colors">Mael Jerome</span>
+                  <span className="text-white/20">•</span>
+                  <span className="hover:text-cyan-300 transition-colors">Rami Nebili</span>
+                  <span className="text-white/20">•</span>
+                  <span className="hover:text-cyan-300 transition-colors">Noé Chauvin</span>
+                  <span className="text-white/20">•</span>
+                  <span className="hover:text-cyan-300 transition-colors">Louis Nourry</span>
+                </div>
               </div>
             </div>
           </div>
-        </div>
-      )}
+        )}
 
-      {/* Skip button during intro animation */}
-      {showIntro && introStarted && introProgress < 1 && (
-        <button
-          onClick={handleSkipIntro}
-          className="fixed top-8 right-8 z-50 px-6 py-3 rounded-full font-bold text-sm transition-all hover:scale-105 bg-white/10 hover:bg-white/20 border border-white/20"
-        >
-          Passer l'intro →
-        </button>
-      )}
+        {paletteOpen && (
+          <CommandPalette
+            events={events}
+            commands={paletteCommands}
+            onSelectEvent={handlePaletteSelect}
+            onClose={() => setPaletteOpen(false)}
+          />
+        )}
 
-      {/* Quiz Mode */}
-      {gameMode === 'quiz' && (
-        <QuizGame onComplete={handleQuizComplete} accent={accent} />
-      )}
+        {helpOpen && (
+          <ShortcutHelp shortcuts={shortcutRegistry.active(screenMode)} onClose={() => setHelpOpen(false)} />
+        )}
 
-      {/* Prediction Mode */}
-      {gameMode === 'prediction' && (
-        <FuturePrediction quizScore={quizScore} onRestart={handleRestart} accent={accent} />
-      )}
+        {showLeaderboard && (
+          <LeaderboardModal accent="#4cfaff" onClose={() => setShowLeaderboard(false)} />
+        )}
 
-      {/* Timeline Mode */}
-      <HoloClock
-        from={clockFrom}
-        to={clockTo}
-        progress={clockProg}
-        active={clockActive}
-        year={event.year}
-      />
-      {/* Only render Canvas after intro starts or if intro is skipped */}
-      {(introStarted || !showIntro) && (
-        <Canvas
-          className="relative z-0"
-          camera={{ position: [0, 0, showIntro ? 15 : 2.6], fov: 45 }}
-          gl={{ antialias: true, powerPreference: "high-performance" }}
-          dpr={[1, Math.min(2, window.devicePixelRatio || 1)]}
+        {/* Skip button during intro animation */}
+        {showIntro && introStarted && introProgress < 1 && (
+          <button
+            onClick={handleSkipIntro}
+            className="fixed top-8 right-8 z-50 px-6 py-3 rounded-full font-bold text-sm transition-all hover:scale-105 bg-white/10 hover:bg-white/20 border border-white/20"
+          >
+            {t("intro.skip")}
+          </button>
+        )}
+
+        {/* Quiz Mode */}
+        {gameMode === 'quiz' && quizQuestions && quizQuestions.length > 0 && (
+          <QuizGame
+            questions={quizQuestions}
+            onComplete={handleQuizComplete}
+            accent={accent}
+            deckName={deckName}
+            geo={geoQuiz}
+            onGeoChange={setGeoQuiz}
+          />
+        )}
+
+        {narrationSettings.captions && narration.status !== "idle" && (
+          <CaptionStrip text={narration.text} accent={accent} />
+        )}
+
+        {/* Prediction Mode */}
+        {gameMode === 'prediction' && (
+          <FuturePrediction
+            scenarios={deck.scenarios}
+            quizScore={quizScore}
+            onRestart={handleRestart}
+            accent={accent}
+            speaking={speaking}
+            lipSync={lipSync}
+            voiceEnabled={voiceEnabled}
+            onSpeak={(paragraphs) => speakSentences(paragraphs, accent, { force: true, trackWords: false })}
+            onStopSpeaking={stopSpeaking}
+          />
+        )}
+
+        {/* Timeline Mode */}
+        <HoloClock
+          from={clockFrom}
+          to={clockTo}
+          progress={clockProg}
+          active={clockActive}
+          year={scrubYear === null ? event.year : Math.round(scrubYear)}
+        />
+        {flatMap && !showIntro && (
+          <FlatMap
+            events={events}
+            currentIndex={selected}
+            visibleIndices={isEditing || activeCategories.length === 0 ? null : activeIndices}
+            accent={accent}
+            reduceMotion={reduceMotion}
+            onSelectEvent={(index) => { if (index !== selected) selectIndex(index, isEditing ? { direction: 0 } : undefined); }}
+            travel={{ active: clockActive, fromIndex: prevSelectedRef.current, progress: clockProg }}
+            geo={gameMode === 'quiz' ? geoQuiz : null}
+            onGeoGuess={handleGeoGuess}
+            onPickLocation={isEditing ? handlePickLocation : undefined}
+            scrubTarget={scrubTarget}
+          />
+        )}
+        {/* Only render Canvas after intro starts or if intro is skipped */}
+        {!flatMap && (introStarted || !showIntro) && (
+          <WebGLBoundary onError={() => setFlatMap(true)}>
+            {/* Antialiasing is fixed when the WebGL context is created: remount on change */}
+            <Canvas
+              key={quality.antialias ? 'antialias' : 'aliased'}
+              className="relative z-0"
+              style={{ touchAction: 'none' }}
+              camera={{ position: [0, 0, showIntro ? 15 : 2.6], fov: 45 }}
+              gl={{ antialias: quality.antialias, powerPreference: "high-performance" }}
+              dpr={[1, Math.min(quality.maxDpr, window.devicePixelRatio || 1)]}
+            >
+              <FrameMonitor monitor={frameMonitor} onSample={handleFrameSample} />
+              <Suspense fallback={null}>
+                <Scene
+                  event={event}
+                  sentences={sentences}
+                  spinDirection={spinDirection}
+                  allEvents={events}
+                  currentIndex={selected}
+                  reduceMotion={reduceMotion}
+                  extraRotations={extraRotations}
+                  showIntro={showIntro}
+                  introProgress={introProgress}
+                  onIntroComplete={() => setShowIntro(false)}
+                  title={deck.title}
+                  subtitle={deck.subtitle}
+                  onSelectEvent={(index) => { if (index !== selected) selectIndex(index, isEditing ? { direction: 0 } : undefined); }}
+                  travel={{ active: clockActive, fromIndex: prevSelectedRef.current, progress: clockProg }}
+                  geo={gameMode === 'quiz' ? geoQuiz : null}
+                  onGeoGuess={handleGeoGuess}
+                  onPickLocation={isEditing ? handlePickLocation : undefined}
+                  scrubTarget={scrubTarget}
+                  visibleIndices={isEditing || activeCategories.length === 0 ? null : activeIndices}
+                  quality={quality}
+                />
+              </Suspense>
+            </Canvas>
+          </WebGLBoundary>
+        )}
+        {qualitySettings.stats && !flatMap && !kiosk && (introStarted || !showIntro) && (
+          <QualityStats tier={tier} mode={qualitySettings.mode} stats={frameStats} />
+        )}
+        <div
+          style={{
+            opacity: (!clockActive && !showIntro && !geoQuiz) ? 1 : 0,
+            visibility: (!clockActive && !showIntro && !geoQuiz) ? 'visible' : 'hidden',
+            transition: 'opacity .45s cubic-bezier(.46,1.2,.3,1.0) .3s, visibility 0s linear .3s'
+          }}
+          aria-hidden={clockActive || showIntro || !!geoQuiz}
         >
-          <Suspense fallback={null}>
-            <Scene
-              event={event}
-              sentences={sentences}
-              spinDirection={spinDirection}
-              allEvents={EVENTS}
-              currentIndex={selected}
-              reduceMotion={reduceMotion}
-              extraRotations={extraRotations}
-              showIntro={showIntro}
-              introProgress={introProgress}
-              onIntroComplete={() => setShowIntro(false)}
+          {/* Header aligné en haut à droite */}
+          {!isEditing && (
+            <header className="absolute top-6 left-8 md:left-14 text-left select-none z-30 max-w-[70vw]" role="banner">
+              <h1 className="text-xl md:text-2xl font-bold tracking-tight">{deck.title}</h1>
+              <p className="mt-2 text-xs md:text-sm text-white/65">{t("header.hint")}</p>
+              {categoryList.length > 0 && (
+                <CategoryFilter
+                  categories={categoryList}
+                  active={activeCategories}
+                  count={activeIndices.length}
+                  total={events.length}
+                  onToggle={handleToggleCategory}
+                  onClear={() => setActiveCategories([])}
+                />
+              )}
+            </header>
+          )}
+          {/* Mode édition : panneau à gauche, aperçu en direct dans l'InfoPanel */}
+          {isEditing && (
+            <DeckEditor
+              deck={sourceDeck}
+              deckName={deckName}
+              selected={selected}
+              onSelect={handleEditorSelect}
+              onChange={onDeckChange}
+              onClose={() => setGameMode('timeline')}
             />
-          </Suspense>
-        </Canvas>
-      )}
-      <div
-        style={{
-          opacity: (!clockActive && !showIntro) ? 1 : 0,
-          visibility: (!clockActive && !showIntro) ? 'visible' : 'hidden',
-          transition: 'opacity .45s cubic-bezier(.46,1.2,.3,1.0) .3s, visibility 0s linear .3s'
-        }}
-        aria-hidden={clockActive || showIntro}
-      >
-        {/* Header aligné en haut à droite */}
-        <header className="absolute top-6 left-8 md:left-14 text-left select-none z-30 max-w-[70vw]" role="banner">
-          <h1 className="text-xl md:text-2xl font-bold tracking-tight">Histoire de la Tech</h1>
-          <p className="mt-2 text-xs md:text-sm text-white/65">Naviguez avec les flèches ← →</p>
-        </header>
-        {/* InfoPanel + Robot à droite au centre, vertical */}
-        <div className="absolute right-4 md:right-12 top-1/2 -translate-y-1/2 flex flex-col items-center z-30 max-w-[400px] min-w-[260px]">
-          {voiceEnabled && (
-            <RobotHead speaking={speaking} mouth={mouth} accent={accent} />
           )}
-          <InfoPanel event={event} sentences={sentences} wordsProgress={infoPanelWordsProgress} />
+          {/* InfoPanel + Robot à droite au centre, vertical */}
+          <div className="absolute right-4 md:right-12 top-1/2 -translate-y-1/2 flex flex-col items-center z-30 max-w-[400px] min-w-[260px]">
+            {voiceEnabled && (
+              <RobotHead speaking={speaking} lipSync={lipSync} expression={event.expression} accent={accent} />
+            )}
+            <InfoPanel event={event} sentences={sentences} wordsProgress={infoPanelWordsProgress} categories={deck.categories} />
+          </div>
+          {/* Barre de contrôle verticale bas droite */}
+          {!isEditing && (
+            <nav className="absolute bottom-7 right-4 md:right-14 flex flex-col gap-3 z-30" aria-label={t("controls.label")}>
+              {events.length > 1 && (
+                <ChronoScrubber
+                  events={events}
+                  activeIndices={activeIndices}
+                  selected={selected}
+                  year={scrubYear === null ? event.year : scrubYear}
+                  accent={accent}
+                  onScrub={setScrubYear}
+                  onScrubEnd={handleScrubEnd}
+                />
+              )}
+              <TimelineControlBar
+                onPrev={() => goToPrev()}
+                onNext={() => goToNext()}
+                accent={accent}
+                voiceEnabled={voiceEnabled}
+                onToggleVoice={handleToggleVoice}
+                narration={narrationControls}
+                tour={tourControls}
+                onStartQuiz={handleStartQuiz}
+                showQuizButton={hasVisitedAll}
+                onEdit={kiosk ? undefined : handleStartEditing}
+                onSearch={() => setPaletteOpen(true)}
+                quality={flatMap || kiosk ? undefined : qualityControls}
+              />
+            </nav>
+          )}
         </div>
-        {/* Barre de contrôle verticale bas droite */}
-        <nav className="absolute bottom-7 right-4 md:right-14 flex flex-col gap-3 z-30" aria-label="Contrôles frise chrono">
-          <TimelineControlBar
-            onPrev={() => goToPrev()}
-            onNext={() => goToNext()}
-            accent={accent}
-            voiceEnabled={voiceEnabled}
-            onToggleVoice={() => {
-              const next = !voiceEnabled;
-              setVoiceEnabled(next);
-              if (!next) {
-                try { window.speechSynthesis?.cancel(); } catch (_) {}
-              } else {
-                if (typeof window !== 'undefined' && window.speechSynthesis && window.speechSynthesis.getVoices().length === 0) {
-                  window.speechSynthesis.onvoiceschanged = () => {};
-                }
-              }
-            }}
-            onStartQuiz={handleStartQuiz}
-            showQuizButton={hasVisitedAll}
-          />
-        </nav>
+      </div>
+    </ShortcutContext.Provider>
+  );
+}
+
+// ---- 8) Deck loading --------------------------------------------------------
+// Translated message of a DeckError (other errors keep their own message)
+function deckErrorText(error, t) {
+  return error instanceof DeckError ? t(`deck.error.${error.code}`, error.params) : error.message;
+}
+
+function DeckStatusScreen({ title, children }) {
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black text-white px-6" style={{fontFamily: 'Inter, Segoe UI, Arial, sans-serif'}}>
+      <div className="w-full max-w-xl text-center space-y-4 animate-fadeIn">
+        <h1 className="holographic text-3xl md:text-4xl font-extrabold tracking-wider">{title}</h1>
+        {children}
       </div>
     </div>
   );
 }
+
+function DeckLoader() {
+  const { locale, t } = useI18n();
+  const deckName = useMemo(() => getDeckNameFromUrl(), []);
+  const kiosk = useMemo(() => readKioskConfig(), []);
+  const [state, setState] = useState({ status: 'loading', deck: null, error: null });
+  // Bumped on every kiosk reset: the app remounts with a blank session
+  const [session, setSession] = useState(0);
+
+  useEffect(() => (kiosk ? lockDown() : undefined), [kiosk]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadDeck(deckName)
+      .then((deck) => { if (!cancelled) setState({ status: 'ready', deck, error: null }); })
+      .catch((error) => { if (!cancelled) setState({ status: 'error', deck: null, error }); });
+    return () => { cancelled = true; };
+  }, [deckName]);
+
+  const localizedDeck = useMemo(
+    () => (state.deck ? localizeDeck(state.deck, locale) : null),
+    [state.deck, locale]
+  );
+
+  // The editor works on the validated deck; every change is localized again for the preview
+  const handleDeckChange = useCallback((deck) => setState((prev) => ({ ...prev, deck })), []);
+
+  const handleSessionEnd = useCallback(() => {
+    clearRoute();
+    setSession((current) => current + 1);
+  }, []);
+
+  if (state.status === 'loading') {
+    return (
+      <DeckStatusScreen title={t("app.loading")}>
+        <p className="text-white/60">{t("app.loadingDeck", { name: deckName })}</p>
+      </DeckStatusScreen>
+    );
+  }
+
+  if (state.status === 'error') {
+    const issues = state.error.issues || [];
+    return (
+      <DeckStatusScreen title={t("app.invalidDeck")}>
+        <p className="text-white/70">{deckErrorText(state.error, t)}</p>
+        {issues.length > 0 && (
+          <ul className="text-left text-sm text-red-300/90 bg-white/5 border border-red-500/40 rounded-2xl p-4 space-y-1 max-h-[50vh] overflow-y-auto font-mono">
+            {issues.map((issue) => <li key={issue}>{issue}</li>)}
+          </ul>
+        )}
+        <p className="text-xs text-white/40">{t("app.checkDeckFile", { name: deckName })}</p>
+      </DeckStatusScreen>
+    );
+  }
+
+  return (
+    <KioskContext.Provider value={kiosk}>
+      <TimelineApp
+        key={session}
+        deck={localizedDeck}
+        deckName={deckName}
+        sourceDeck={state.deck}
+        onDeckChange={handleDeckChange}
+        onSessionEnd={handleSessionEnd}
+      />
+    </KioskContext.Provider>
+  );
+}
+
+export default function App() {
+  return (
+    <I18nProvider>
+      <DeckLoader />
+    </I18nProvider>
+  );
+}
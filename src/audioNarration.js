@@ -0,0 +1,310 @@
+/**
+ * Recorded narration — plays an event's voice-over instead of speech synthesis.
+ *
+ * An event may reference an audio file and a timing track (see `deck.js`).
+ * The track is a WebVTT file or a JSON array of cues
+ * `[{ "start": 0.12, "end": 0.48, "text": "Dans" }]` (seconds). Cues are
+ * matched to the displayed words:
+ *   - one cue per word  → word-level timings,
+ *   - one cue per sentence → words spread over their sentence's cue,
+ *   - anything else (or no track) → words spread over the whole recording.
+ *
+ * The player exposes the same transport as `createNarrator` (pause, resume,
+ * replay, skip, stop) and reports the per-sentence word progress and the
+ * audio level (0..1) used to animate the robot's mouth.
+ */
+
+import { FULLY_REVEALED } from "./wordReveal.js";
+
+const LEVEL_GAIN = 4;
+
+// ---- Timing tracks ----------------------------------------------------------
+// "00:01.500", "00:00:01.500" or "1.5" → seconds
+export function parseTimecode(value) {
+  const parts = String(value).trim().replace(",", ".").split(":").map(Number);
+  if (parts.some((part) => !Number.isFinite(part))) return NaN;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+export function parseWebVTT(text) {
+  const cues = [];
+  text.replace(/\r/g, "").split(/\n{2,}/).forEach((block) => {
+    const lines = block.split("\n").filter(Boolean);
+    const timingLine = lines.findIndex((line) => line.includes("-->"));
+    if (timingLine < 0) return;
+    const [start, end] = lines[timingLine].split("-->").map((part) => parseTimecode(part.trim().split(/\s+/)[0]));
+    if (!Number.isFinite(start) || !Number.isFinite(end)) return;
+    cues.push({ start, end, text: lines.slice(timingLine + 1).join(" ") });
+  });
+  return cues;
+}
+
+// WebVTT or JSON cue array; throws on anything else
+export function parseTimingTrack(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith("WEBVTT")) return parseWebVTT(trimmed);
+  const parsed = JSON.parse(trimmed);
+  if (!Array.isArray(parsed) || !parsed.every((cue) => Number.isFinite(cue.start) && Number.isFinite(cue.end))) {
+    throw new Error("expected a WebVTT file or a JSON array of { start, end } cues");
+  }
+  return parsed.map(({ start, end, text: cueText = "" }) => ({ start, end, text: cueText }));
+}
+
+const trackCache = new Map();
+
+// Fetched once per URL; resolves to null when the track is missing or invalid
+export function loadTimingTrack(url) {
+  if (!url) return Promise.resolve(null);
+  if (!trackCache.has(url)) {
+    trackCache.set(url, fetch(url)
+      .then((response) => (response.ok ? response.text() : Promise.reject(new Error(`HTTP ${response.status}`))))
+      .then(parseTimingTrack)
+      .catch(() => null));
+  }
+  return trackCache.get(url);
+}
+
+// Start time of `words` spread over [start, end] by character length
+function spreadWords(words, start, end) {
+  const total = words.reduce((sum, word) => sum + word.length + 1, 0) || 1;
+  let offset = 0;
+  return words.map((word) => {
+    const time = start + ((end - start) * offset) / total;
+    offset += word.length + 1;
+    return time;
+  });
+}
+
+/**
+ * Start time (seconds) of every displayed word, per sentence.
+ * @param {string[]} sentences
+ * @param {Array<{start:number,end:number}>|null} cues
+ * @param {number} duration  recording length, used without a usable track
+ * @returns {number[][]}
+ */
+export function alignWords(sentences, cues, duration) {
+  const words = sentences.map((sentence) => sentence.split(/\s+/));
+  const wordTotal = words.reduce((sum, list) => sum + list.length, 0);
+  const sorted = (cues || []).slice().sort((a, b) => a.start - b.start);
+
+  if (sorted.length === wordTotal) {
+    let cursor = 0;
+    return words.map((list) => list.map(() => sorted[cursor++].start));
+  }
+  if (sorted.length === sentences.length) {
+    return words.map((list, index) => spreadWords(list, sorted[index].start, sorted[index].end));
+  }
+  const flat = spreadWords(words.flat(), 0, duration || 0);
+  let cursor = 0;
+  return words.map((list) => list.map(() => flat[cursor++]));
+}
+
+// Visible words per sentence at `time`
+export function progressAt(timeline, time) {
+  const current = sentenceAt(timeline, time);
+  return timeline.map((starts, index) => {
+    if (index < current) return FULLY_REVEALED;
+    if (index > current) return 1;
+    return Math.max(1, starts.filter((start) => start <= time).length);
+  });
+}
+
+export function sentenceAt(timeline, time) {
+  let index = 0;
+  timeline.forEach((starts, i) => {
+    if (starts.length && starts[0] <= time) index = i;
+  });
+  return index;
+}
+
+// ---- Player -----------------------------------------------------------------
+/**
+ * @param {Object} callbacks
+ * @param {Function} [callbacks.onStateChange]  ({ status, index, total, text, finished })
+ * @param {Function} [callbacks.onProgress]     (progress) visible words per sentence
+ * @param {Function} [callbacks.onLevel]        (level) audio amplitude 0..1, every frame while playing
+ * @param {Function} [callbacks.onError]        (error) the recording could not be played
+ */
+export function createAudioNarrator({ onStateChange, onProgress, onLevel, onError } = {}) {
+  const audio = new Audio();
+  audio.preload = "auto";
+  audio.crossOrigin = "anonymous";
+  let analyser = null;
+  let samples = null;
+  let timeline = [];
+  let sentences = [];
+  let finished = false;
+  let status = "idle";
+  let frame = null;
+  let lastProgress = "";
+  let lastSentence = -1;
+  let token = 0;
+  // Token of the recording being loaded, so load errors of stale sources are ignored
+  let loading = null;
+
+  const emit = () => {
+    const index = timeline.length ? sentenceAt(timeline, audio.currentTime) : 0;
+    onStateChange?.({ status, index, total: timeline.length, text: sentences[index] || "", finished });
+  };
+
+  // The analyser needs an AudioContext, which browsers only start after a user gesture
+  function connectAnalyser() {
+    if (analyser) return;
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    try {
+      const context = new AudioContextClass();
+      analyser = context.createAnalyser();
+      analyser.fftSize = 512;
+      samples = new Uint8Array(analyser.fftSize);
+      context.createMediaElementSource(audio).connect(analyser);
+      analyser.connect(context.destination);
+      if (context.state === "suspended") context.resume();
+    } catch (_) {
+      analyser = null;
+    }
+  }
+
+  function readLevel() {
+    if (!analyser) return 0.2 + Math.random() * 0.6;
+    analyser.getByteTimeDomainData(samples);
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const value = (samples[i] - 128) / 128;
+      sum += value * value;
+    }
+    return Math.min(1, Math.sqrt(sum / samples.length) * LEVEL_GAIN);
+  }
+
+  function tick() {
+    frame = requestAnimationFrame(tick);
+    const progress = progressAt(timeline, audio.currentTime);
+    const key = progress.join(",");
+    if (key !== lastProgress) {
+      lastProgress = key;
+      onProgress?.(progress);
+    }
+    const sentence = sentenceAt(timeline, audio.currentTime);
+    if (sentence !== lastSentence) {
+      lastSentence = sentence;
+      emit();
+    }
+    onLevel?.(readLevel());
+  }
+
+  function stopLoop() {
+    if (frame) cancelAnimationFrame(frame);
+    frame = null;
+    onLevel?.(0);
+  }
+
+  function setStatus(next) {
+    status = next;
+    if (status === "speaking") {
+      if (!frame) frame = requestAnimationFrame(tick);
+    } else {
+      stopLoop();
+    }
+    emit();
+  }
+
+  function seekToSentence(index) {
+    const bounded = Math.max(0, Math.min(index, timeline.length - 1));
+    audio.currentTime = timeline[bounded]?.[0] || 0;
+    if (status !== "speaking") play();
+  }
+
+  function play() {
+    const current = token;
+    finished = false;
+    connectAnalyser();
+    audio.play().then(
+      () => { if (current === token) setStatus("speaking"); },
+      (error) => {
+        if (current !== token || error.name === "AbortError") return;
+        setStatus("idle");
+        onError?.(error);
+      }
+    );
+  }
+
+  audio.addEventListener("ended", () => {
+    finished = true;
+    onProgress?.(timeline.map(() => FULLY_REVEALED));
+    setStatus("idle");
+  });
+  audio.addEventListener("error", () => {
+    if (status === "idle" && loading !== token) return;
+    loading = null;
+    setStatus("idle");
+    onError?.(audio.error);
+  });
+
+  return {
+    /**
+     * @param {Object} recording  { audio, timings } URLs of the event
+     * @param {string[]} nextSentences  displayed sentences
+     * @param {number} rate  playback speed
+     */
+    async speak(recording, nextSentences, rate = 1) {
+      const current = ++token;
+      sentences = nextSentences.slice();
+      loading = current;
+      audio.pause();
+      audio.src = recording.audio;
+      audio.playbackRate = rate;
+      timeline = alignWords(sentences, null, 0);
+      lastProgress = "";
+      lastSentence = -1;
+      onProgress?.(sentences.map(() => 1));
+      const [cues] = await Promise.all([
+        loadTimingTrack(recording.timings),
+        new Promise((resolve) => {
+          if (audio.readyState >= 1) {
+            resolve();
+            return;
+          }
+          // Settles on failure too, without leaving a listener on the shared element
+          const settle = () => {
+            audio.removeEventListener("loadedmetadata", settle);
+            audio.removeEventListener("error", settle);
+            resolve();
+          };
+          audio.addEventListener("loadedmetadata", settle, { once: true });
+          audio.addEventListener("error", settle, { once: true });
+        }),
+      ]);
+      // A newer speak(), or the error listener already fell back to speech
+      if (current !== token || loading !== current) return;
+      loading = null;
+      timeline = alignWords(sentences, cues, audio.duration);
+      play();
+    },
+    configure({ rate } = {}) {
+      if (Number.isFinite(rate)) audio.playbackRate = rate;
+    },
+    pause() {
+      if (status !== "speaking") return;
+      audio.pause();
+      setStatus("paused");
+    },
+    resume() {
+      if (status === "paused") play();
+    },
+    replay() {
+      if (timeline.length) seekToSentence(sentenceAt(timeline, audio.currentTime));
+    },
+    skip() {
+      if (status === "idle") return;
+      const next = sentenceAt(timeline, audio.currentTime) + 1;
+      if (next >= timeline.length) audio.currentTime = audio.duration || 0;
+      else seekToSentence(next);
+    },
+    stop() {
+      token += 1;
+      finished = false;
+      audio.pause();
+      if (status !== "idle") setStatus("idle");
+    },
+  };
+}
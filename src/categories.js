@@ -0,0 +1,38 @@
+/**
+ * Event categories — filtered navigation for themed sessions.
+ *
+ * A deck declares its categories once (`categories` in deck.js) and events
+ * reference them in `tags`. With a filter on, navigation, globe markers, the
+ * guided tour and the quiz only cover the events carrying at least one of
+ * the selected categories. `?tags=games,language` preselects a filter.
+ */
+
+// Categories used by at least one event, in declaration order
+export function usedCategories(categories, events) {
+  return Object.entries(categories || {})
+    .filter(([id]) => events.some((event) => event.tags?.includes(id)))
+    .map(([id, category]) => ({ id, label: category.label, color: category.color }));
+}
+
+// Indices of the events matching the filter (every event without a filter)
+export function filterIndices(events, active) {
+  const indices = events.map((_, index) => index);
+  if (active.length === 0) return indices;
+  return indices.filter((index) => events[index].tags?.some((tag) => active.includes(tag)));
+}
+
+// Next (`step` 1) or previous (-1) event of the filter, wrapping around
+export function stepInFilter(indices, current, step) {
+  if (indices.length === 0) return current;
+  const position = indices.indexOf(current);
+  if (position >= 0) return indices[(position + step + indices.length) % indices.length];
+  // Current event outside the filter: closest allowed one in that direction
+  const ahead = step > 0 ? indices.find((index) => index > current) : [...indices].reverse().find((index) => index < current);
+  return ahead ?? (step > 0 ? indices[0] : indices[indices.length - 1]);
+}
+
+export function readTagsFromUrl(categories, search = typeof window !== "undefined" ? window.location.search : "") {
+  const value = new URLSearchParams(search).get("tags");
+  if (!value) return [];
+  return value.split(",").map((tag) => tag.trim()).filter((tag) => Object.prototype.hasOwnProperty.call(categories || {}, tag));
+}
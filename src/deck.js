@@ -0,0 +1,302 @@
+/**
+ * Deck loader — timeline content lives in JSON files under `public/decks/`.
+ *
+ * A deck is selected with the `?deck=<name>` URL parameter (defaults to
+ * `ai-history`) and fetched from `/decks/<name>.json`. Every text field
+ * (marked "text" below) is either a string or a per-locale object such as
+ * `{ "fr": "…", "en": "…" }`. Schema:
+ *
+ * {
+ *   "locale": "fr",                          // optional, fallback language of the texts
+ *   "title": "Histoire de la Tech",          // optional text, shown in the header
+ *   "subtitle": "Un voyage à travers le temps", // optional text
+ *   "categories": {                          // optional, referenced by the event tags
+ *     "games": { "label": "Jeux", "color": "#f59e0b" } // id → label text and hex colour
+ *   },
+ *   "events": [{                             // required, at least one entry
+ *     "year": 1950,                          // integer
+ *     "title": "…", "text": "…",             // non-empty texts
+ *     "location": "Manchester, Royaume-Uni", // non-empty text
+ *     "creator": "Alan Turing",              // optional text, with "creation" enables
+ *     "creation": "le Test de Turing",       //   "who created what" quiz questions
+ *     "accent": "#4ade80",                   // hex colour (#rgb or #rrggbb)
+ *     "lon": -0.1, "lat": 51.5,              // degrees, [-180, 180] / [-90, 90]
+ *     "expression": "thinking",              // optional robot face: neutral | happy | surprised | thinking | concerned
+ *     "tags": ["games", "hardware"],         // optional, ids of deck categories
+ *     "narration": {                         // optional recorded voice-over, per locale
+ *       "fr": { "audio": "/audio/turing-fr.mp3", "timings": "/audio/turing-fr.vtt" }
+ *     }                                      //   (or a single { audio, timings } in the deck locale);
+ *   }],                                      //   timings: optional WebVTT or JSON cues
+ *   "quiz": [{                               // optional, added to the generated questions
+ *     "year": 1950,                          // optional, only asked once that event is visited
+ *     "question": "…", "options": ["…", "…"], // texts, at least two options
+ *     "correct": 1,                          // index into options
+ *     "explanation": "…"                     // optional text
+ *   }],
+ *   "scenarios": [{                          // optional
+ *     "year": 2030, "scenario": "…", "icon": "🎓", // scenario is a text
+ *     "impact": "positive"                   // positive | neutral | controversial | revolutionary
+ *   }]
+ * }
+ */
+
+import { DEFAULT_LOCALE, isSupportedLocale, localize } from "./i18n.jsx";
+
+export const DEFAULT_DECK = "ai-history";
+export const SCENARIO_IMPACTS = ["positive", "neutral", "controversial", "revolutionary"];
+export const ROBOT_EXPRESSIONS = ["neutral", "happy", "surprised", "thinking", "concerned"];
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const DECK_NAME = /^[\w-]+$/;
+const CATEGORY_ID = /^[a-z0-9-]+$/;
+
+// `code` and `params` give the translated message (`deck.error.<code>` in i18n.jsx);
+// `issues` stay in English, they point at JSON paths for the deck author
+export class DeckError extends Error {
+  constructor(code, params = {}, issues = []) {
+    super(`Deck error: ${code}`);
+    this.name = "DeckError";
+    this.code = code;
+    this.params = params;
+    this.issues = issues;
+  }
+}
+
+// Read the deck name from `?deck=` (only simple file names, no paths)
+export function getDeckNameFromUrl(search = typeof window !== "undefined" ? window.location.search : "") {
+  const name = new URLSearchParams(search).get("deck");
+  return name && DECK_NAME.test(name) ? name : DEFAULT_DECK;
+}
+
+export function deckUrl(name) {
+  return `/decks/${name}.json`;
+}
+
+// ---- Validation -------------------------------------------------------------
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+// A plain string or a non-empty { locale: string } map
+function isLocalizedString(value) {
+  if (isNonEmptyString(value)) return true;
+  if (!value || typeof value !== "object" || Array.isArray(value)) return false;
+  const entries = Object.values(value);
+  return entries.length > 0 && entries.every(isNonEmptyString);
+}
+
+function isNumberInRange(value, min, max) {
+  return typeof value === "number" && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function validateEvent(event, path, issues) {
+  if (!event || typeof event !== "object") {
+    issues.push(`${path}: expected an object`);
+    return;
+  }
+  if (!Number.isInteger(event.year)) issues.push(`${path}.year: expected an integer year`);
+  ["title", "text", "location"].forEach((key) => {
+    if (!isLocalizedString(event[key])) issues.push(`${path}.${key}: expected a non-empty text`);
+  });
+  if (typeof event.accent !== "string" || !HEX_COLOR.test(event.accent)) {
+    issues.push(`${path}.accent: expected a hex colour such as "#4ade80"`);
+  }
+  if (!isNumberInRange(event.lon, -180, 180)) issues.push(`${path}.lon: expected a number between -180 and 180`);
+  if (!isNumberInRange(event.lat, -90, 90)) issues.push(`${path}.lat: expected a number between -90 and 90`);
+  ["creator", "creation"].forEach((key) => {
+    if (event[key] !== undefined && !isLocalizedString(event[key])) issues.push(`${path}.${key}: expected a text`);
+  });
+  if (event.expression !== undefined && !ROBOT_EXPRESSIONS.includes(event.expression)) {
+    issues.push(`${path}.expression: expected one of ${ROBOT_EXPRESSIONS.join(", ")}`);
+  }
+  if (event.narration !== undefined) validateNarration(event.narration, `${path}.narration`, issues);
+  if (event.tags !== undefined && (!Array.isArray(event.tags) || !event.tags.every(isNonEmptyString))) {
+    issues.push(`${path}.tags: expected an array of category ids`);
+  }
+}
+
+function validateCategories(categories, issues) {
+  if (!categories || typeof categories !== "object" || Array.isArray(categories)) {
+    issues.push("categories: expected an object of { label, color } by id");
+    return;
+  }
+  Object.entries(categories).forEach(([id, category]) => {
+    const path = `categories.${id}`;
+    if (!CATEGORY_ID.test(id)) issues.push(`${path}: ids use lowercase letters, digits and dashes`);
+    if (!category || typeof category !== "object") {
+      issues.push(`${path}: expected an object`);
+      return;
+    }
+    if (!isLocalizedString(category.label)) issues.push(`${path}.label: expected a non-empty text`);
+    if (typeof category.color !== "string" || !HEX_COLOR.test(category.color)) {
+      issues.push(`${path}.color: expected a hex colour such as "#f59e0b"`);
+    }
+  });
+}
+
+// Every tag must name a declared category
+function validateTags(events, categories, issues) {
+  events.forEach((event, index) => {
+    if (!Array.isArray(event?.tags)) return;
+    event.tags.forEach((tag) => {
+      if (!Object.prototype.hasOwnProperty.call(categories, tag)) {
+        issues.push(`events[${index}].tags: unknown category "${tag}"`);
+      }
+    });
+  });
+}
+
+function validateRecording(recording, path, issues) {
+  if (!recording || typeof recording !== "object" || !isNonEmptyString(recording.audio)) {
+    issues.push(`${path}.audio: expected the URL of a recording`);
+  } else if (recording.timings !== undefined && !isNonEmptyString(recording.timings)) {
+    issues.push(`${path}.timings: expected the URL of a timing track`);
+  }
+}
+
+// A single recording, or one per locale
+function validateNarration(narration, path, issues) {
+  if (!narration || typeof narration !== "object" || Array.isArray(narration)) {
+    issues.push(`${path}: expected an object`);
+    return;
+  }
+  if (narration.audio !== undefined) {
+    validateRecording(narration, path, issues);
+    return;
+  }
+  Object.entries(narration).forEach(([locale, recording]) => {
+    if (!isSupportedLocale(locale)) issues.push(`${path}.${locale}: unsupported locale`);
+    else validateRecording(recording, `${path}.${locale}`, issues);
+  });
+}
+
+function validateQuestion(question, path, issues) {
+  if (!question || typeof question !== "object") {
+    issues.push(`${path}: expected an object`);
+    return;
+  }
+  if (!isLocalizedString(question.question)) issues.push(`${path}.question: expected a non-empty text`);
+  if (question.year !== undefined && !Number.isInteger(question.year)) issues.push(`${path}.year: expected an integer year`);
+  const options = question.options;
+  if (!Array.isArray(options) || options.length < 2 || !options.every(isLocalizedString)) {
+    issues.push(`${path}.options: expected at least two non-empty texts`);
+  } else if (!Number.isInteger(question.correct) || question.correct < 0 || question.correct >= options.length) {
+    issues.push(`${path}.correct: expected an index between 0 and ${options.length - 1}`);
+  }
+  if (question.explanation !== undefined && !isLocalizedString(question.explanation)) {
+    issues.push(`${path}.explanation: expected a text`);
+  }
+}
+
+function validateScenario(scenario, path, issues) {
+  if (!scenario || typeof scenario !== "object") {
+    issues.push(`${path}: expected an object`);
+    return;
+  }
+  if (!Number.isInteger(scenario.year)) issues.push(`${path}.year: expected an integer year`);
+  if (!isLocalizedString(scenario.scenario)) issues.push(`${path}.scenario: expected a non-empty text`);
+  if (!SCENARIO_IMPACTS.includes(scenario.impact)) {
+    issues.push(`${path}.impact: expected one of ${SCENARIO_IMPACTS.join(", ")}`);
+  }
+  if (scenario.icon !== undefined && typeof scenario.icon !== "string") {
+    issues.push(`${path}.icon: expected a string`);
+  }
+}
+
+function validateList(deck, key, validateItem, issues, { required = false } = {}) {
+  const list = deck[key];
+  if (list === undefined && !required) return;
+  if (!Array.isArray(list) || (required && list.length === 0)) {
+    issues.push(`${key}: expected ${required ? "a non-empty" : "an"} array`);
+    return;
+  }
+  list.forEach((item, index) => validateItem(item, `${key}[${index}]`, issues));
+}
+
+// Validate a parsed deck and return a normalized copy, or throw a DeckError listing every issue
+export function validateDeck(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new DeckError("notObject", {}, ["(root): expected an object"]);
+  }
+  const issues = [];
+  validateList(raw, "events", validateEvent, issues, { required: true });
+  validateList(raw, "quiz", validateQuestion, issues);
+  validateList(raw, "scenarios", validateScenario, issues);
+  if (raw.categories !== undefined) validateCategories(raw.categories, issues);
+  if (Array.isArray(raw.events)) validateTags(raw.events, raw.categories || {}, issues);
+  if (raw.title !== undefined && !isLocalizedString(raw.title)) issues.push("title: expected a text");
+  if (raw.subtitle !== undefined && !isLocalizedString(raw.subtitle)) issues.push("subtitle: expected a text");
+  if (raw.locale !== undefined && !isSupportedLocale(raw.locale)) issues.push("locale: expected a supported locale code");
+  if (issues.length > 0) {
+    throw new DeckError("invalid", { count: issues.length }, issues);
+  }
+
+  return {
+    locale: raw.locale || DEFAULT_LOCALE,
+    title: raw.title || { fr: "Histoire de la Tech", en: "History of Tech" },
+    subtitle: raw.subtitle || { fr: "Un voyage à travers le temps", en: "A journey through time" },
+    categories: raw.categories || {},
+    events: raw.events.map((event) => ({ ...event })),
+    quiz: (raw.quiz || []).map((question, index) => ({ id: index + 1, ...question })),
+    scenarios: (raw.scenarios || []).map((scenario, index) => ({ id: index + 1, icon: "✨", ...scenario })),
+  };
+}
+
+// A recording only matches its own language: no fallback to another locale
+function localizeNarration(narration, locale, deckLocale) {
+  if (!narration) return null;
+  if (narration.audio !== undefined) return locale === deckLocale ? narration : null;
+  return narration[locale] || null;
+}
+
+// Resolve every text of a validated deck for the given locale
+export function localizeDeck(deck, locale) {
+  const text = (value) => localize(value, locale, deck.locale);
+  return {
+    ...deck,
+    title: text(deck.title),
+    subtitle: text(deck.subtitle),
+    categories: Object.fromEntries(
+      Object.entries(deck.categories).map(([id, category]) => [id, { ...category, label: text(category.label) }])
+    ),
+    events: deck.events.map((event) => ({
+      ...event,
+      title: text(event.title),
+      text: text(event.text),
+      location: text(event.location),
+      creator: text(event.creator),
+      creation: text(event.creation),
+      narration: localizeNarration(event.narration, locale, deck.locale),
+    })),
+    quiz: deck.quiz.map((question) => ({
+      ...question,
+      question: text(question.question),
+      options: question.options.map(text),
+      explanation: text(question.explanation) || "",
+    })),
+    scenarios: deck.scenarios.map((scenario) => ({
+      ...scenario,
+      scenario: text(scenario.scenario),
+    })),
+  };
+}
+
+export async function loadDeck(name = DEFAULT_DECK) {
+  const url = deckUrl(name);
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new DeckError("network", { url, reason: error.message });
+  }
+  if (!response.ok) {
+    throw new DeckError("http", { url, status: response.status });
+  }
+  let raw;
+  try {
+    raw = await response.json();
+  } catch (error) {
+    throw new DeckError("json", { url, reason: error.message });
+  }
+  return validateDeck(raw);
+}
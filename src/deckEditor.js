@@ -0,0 +1,98 @@
+/**
+ * Deck editor — pure helpers behind the authoring mode (`#/edit`).
+ *
+ * The editor works on the validated deck (texts still per locale): each text
+ * field is edited in the active language and written back next to the other
+ * translations. Export serializes the deck in the same JSON format as
+ * `public/decks/*.json`; import goes through `validateDeck`.
+ */
+
+import { DeckError, validateDeck } from "./deck.js";
+
+export const NEW_EVENT_ACCENT = "#38bdf8";
+const COORDINATE_DECIMALS = 3;
+
+// Write `text` as the `locale` version of a deck text (string or { locale: text })
+export function setLocalizedText(value, text, locale, deckLocale) {
+  if (value && typeof value === "object") {
+    const next = { ...value, [locale]: text };
+    if (!text) delete next[locale];
+    return Object.keys(next).length > 0 ? next : "";
+  }
+  if (locale === deckLocale) return text;
+  const base = typeof value === "string" && value ? { [deckLocale]: value } : {};
+  return text ? { ...base, [locale]: text } : value || "";
+}
+
+export function roundCoordinate(value) {
+  const factor = 10 ** COORDINATE_DECIMALS;
+  return Math.round(value * factor) / factor;
+}
+
+// Empty event placed after `previous`; texts are filled in by the author
+export function createEvent(previous) {
+  return {
+    year: previous ? previous.year + 1 : new Date().getFullYear(),
+    title: "",
+    text: "",
+    location: "",
+    accent: previous?.accent || NEW_EVENT_ACCENT,
+    lon: previous ? previous.lon : 0,
+    lat: previous ? previous.lat : 0,
+  };
+}
+
+export function insertEvent(events, index, event) {
+  const copy = events.slice();
+  copy.splice(index, 0, event);
+  return copy;
+}
+
+export function updateEvent(events, index, patch) {
+  return events.map((event, i) => (i === index ? { ...event, ...patch } : event));
+}
+
+export function removeEvent(events, index) {
+  return events.filter((_, i) => i !== index);
+}
+
+export function moveEvent(events, from, to) {
+  if (to < 0 || to >= events.length || from === to) return events;
+  const copy = events.slice();
+  const [event] = copy.splice(from, 1);
+  copy.splice(to, 0, event);
+  return copy;
+}
+
+// Deck as stored in public/decks/: without the ids added by validateDeck
+export function serializeDeck(deck) {
+  const { quiz = [], scenarios = [], categories = {}, events, ...rest } = deck;
+  const output = { ...rest };
+  if (Object.keys(categories).length > 0) output.categories = categories;
+  output.events = events;
+  if (quiz.length > 0) output.quiz = quiz.map(({ id, ...question }) => question);
+  if (scenarios.length > 0) output.scenarios = scenarios.map(({ id, ...scenario }) => scenario);
+  return JSON.stringify(output, null, 2);
+}
+
+// Issues that would prevent the deck from loading (empty when valid)
+export function deckIssues(deck) {
+  try {
+    validateDeck(JSON.parse(serializeDeck(deck)));
+    return [];
+  } catch (error) {
+    if (error instanceof DeckError) return error.issues.length > 0 ? error.issues : [error.message];
+    throw error;
+  }
+}
+
+// Parse and validate an imported deck file; throws a DeckError
+export function importDeck(json) {
+  let raw;
+  try {
+    raw = JSON.parse(json);
+  } catch (error) {
+    throw new DeckError("importJson", { reason: error.message });
+  }
+  return validateDeck(raw);
+}
@@ -0,0 +1,71 @@
+/**
+ * 2D fallback map — for browsers without WebGL.
+ *
+ * Old school PCs, locked-down browsers and GPU blocklists cannot create a
+ * WebGL context: the app then draws the `earth_atmos` texture as a flat
+ * equirectangular SVG map with the event markers on top. `?map=2d` forces
+ * the flat map (testing, very slow machines).
+ *
+ * The SVG uses longitude/latitude as user units (viewBox -180 -90 360 180,
+ * y pointing down), so projecting a point is only a sign flip.
+ */
+
+export const MAP_VIEWBOX = "-180 -90 360 180";
+
+export function isWebGLAvailable() {
+  try {
+    const canvas = document.createElement("canvas");
+    const gl = canvas.getContext("webgl2") || canvas.getContext("webgl") || canvas.getContext("experimental-webgl");
+    if (!gl) return false;
+    // Free the probe context, browsers cap how many can be alive at once
+    gl.getExtension("WEBGL_lose_context")?.loseContext();
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+export function shouldUseFlatMap(search = typeof window !== "undefined" ? window.location.search : "") {
+  return new URLSearchParams(search).get("map") === "2d" || !isWebGLAvailable();
+}
+
+export function project({ lon, lat }) {
+  return { x: lon, y: -lat };
+}
+
+export function unproject({ x, y }) {
+  return { lon: Math.min(180, Math.max(-180, x)), lat: Math.min(90, Math.max(-90, -y)) };
+}
+
+// Longitude step from `from` to `to` the short way round, as the globe turns
+function lonDelta(from, to) {
+  return ((to.lon - from.lon + 540) % 360) - 180;
+}
+
+export function interpolate(from, to, f) {
+  const lon = from.lon + lonDelta(from, to) * f;
+  return { lon: ((lon + 540) % 360) - 180, lat: from.lat + (to.lat - from.lat) * f };
+}
+
+/**
+ * Straight segments linking consecutive points; a leg crossing the
+ * antimeridian is split in two at the map edges instead of crossing the map.
+ * @returns {Array<[{lon, lat}, {lon, lat}]>}
+ */
+export function routeSegments(points) {
+  const segments = [];
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    const delta = lonDelta(from, to);
+    const end = from.lon + delta;
+    if (end >= -180 && end <= 180) {
+      segments.push([from, to]);
+      continue;
+    }
+    const edge = end > 180 ? 180 : -180;
+    const lat = from.lat + (to.lat - from.lat) * ((edge - from.lon) / delta);
+    segments.push([from, { lon: edge, lat }], [{ lon: -edge, lat }, to]);
+  }
+  return segments;
+}
@@ -0,0 +1,92 @@
+/**
+ * Gamepad navigation (standard mapping) for arcade-style booths.
+ *
+ * Buttons are reported once per press as names: "left" / "right" / "up" /
+ * "down" (D-pad or left stick), "prev" / "next" (shoulder buttons),
+ * "confirm" (A), "back" (B) and "start". Polling only runs while a gamepad
+ * is connected and the tab is visible.
+ */
+
+const BUTTONS = [[0, "confirm"], [1, "back"], [4, "prev"], [5, "next"], [9, "start"], [12, "up"], [13, "down"], [14, "left"], [15, "right"]];
+const AXIS_THRESHOLD = 0.6;
+
+const FOCUSABLE = 'button:not([disabled]), a[href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+function pressedButtons(pad) {
+  const names = new Set();
+  BUTTONS.forEach(([index, name]) => {
+    if (pad.buttons[index]?.pressed) names.add(name);
+  });
+  const [x = 0, y = 0] = pad.axes;
+  if (x < -AXIS_THRESHOLD) names.add("left");
+  if (x > AXIS_THRESHOLD) names.add("right");
+  if (y < -AXIS_THRESHOLD) names.add("up");
+  if (y > AXIS_THRESHOLD) names.add("down");
+  return names;
+}
+
+/**
+ * @param {Function} onButton  (name) called on every new press
+ * @returns {Function} stop
+ */
+export function watchGamepads(onButton) {
+  if (typeof navigator === "undefined" || !navigator.getGamepads) return () => {};
+  let frame = null;
+  // Buttons held on the previous poll, per gamepad
+  const previous = new Map();
+
+  const poll = () => {
+    frame = requestAnimationFrame(poll);
+    for (const pad of navigator.getGamepads()) {
+      if (!pad) continue;
+      const pressed = pressedButtons(pad);
+      const before = previous.get(pad.index) || new Set();
+      pressed.forEach((name) => {
+        if (!before.has(name)) onButton(name);
+      });
+      previous.set(pad.index, pressed);
+    }
+  };
+
+  const update = () => {
+    const run = !document.hidden && [...navigator.getGamepads()].some(Boolean);
+    if (run && !frame) {
+      frame = requestAnimationFrame(poll);
+    } else if (!run && frame) {
+      cancelAnimationFrame(frame);
+      frame = null;
+      previous.clear();
+    }
+  };
+
+  window.addEventListener("gamepadconnected", update);
+  window.addEventListener("gamepaddisconnected", update);
+  document.addEventListener("visibilitychange", update);
+  update();
+  return () => {
+    if (frame) cancelAnimationFrame(frame);
+    window.removeEventListener("gamepadconnected", update);
+    window.removeEventListener("gamepaddisconnected", update);
+    document.removeEventListener("visibilitychange", update);
+  };
+}
+
+// Topmost dialog or overlay marked `data-gamepad-scope`, else the page
+function focusScope() {
+  const scopes = document.querySelectorAll('[role="dialog"], [data-gamepad-scope]');
+  return scopes[scopes.length - 1] || document.body;
+}
+
+// Move the keyboard focus to the next (1) or previous (-1) control of the scope
+export function moveFocus(step) {
+  const items = [...focusScope().querySelectorAll(FOCUSABLE)].filter((element) => element.getClientRects().length > 0);
+  if (items.length === 0) return;
+  const current = items.indexOf(document.activeElement);
+  const next = current < 0 ? (step > 0 ? 0 : items.length - 1) : (current + step + items.length) % items.length;
+  items[next].focus();
+}
+
+export function activateFocused() {
+  const element = document.activeElement;
+  if (element && element !== document.body && focusScope().contains(element)) element.click();
+}
@@ -0,0 +1,69 @@
+/**
+ * Touch gestures — horizontal swipes and long-press, for tablets and booths.
+ *
+ * Only touch and pen pointers are tracked (the mouse keeps its clicks and
+ * drags). A swipe is a quick, mostly horizontal stroke; a long-press is a
+ * finger held still. `accept` limits the gestures to some targets (e.g. the
+ * globe canvas).
+ */
+
+const SWIPE_MIN_DISTANCE = 60;  // px
+const SWIPE_MAX_DURATION = 700; // ms
+const SWIPE_MAX_SLOPE = 0.6;    // |dy| / |dx|
+const LONG_PRESS_MS = 650;
+const MOVE_TOLERANCE = 10;      // px a long-press may drift
+
+/**
+ * @param {EventTarget} target
+ * @param {Object} handlers  { onSwipeLeft, onSwipeRight, onLongPress, accept(event) }
+ * @returns {Function} cleanup
+ */
+export function attachGestures(target, { onSwipeLeft, onSwipeRight, onLongPress, accept = () => true }) {
+  let start = null;
+  let timer = null;
+
+  const cancelLongPress = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  const onDown = (e) => {
+    if (e.pointerType === "mouse" || !e.isPrimary || !accept(e)) return;
+    start = { x: e.clientX, y: e.clientY, time: performance.now() };
+    cancelLongPress();
+    timer = setTimeout(() => {
+      timer = null;
+      start = null;
+      onLongPress?.();
+    }, LONG_PRESS_MS);
+  };
+
+  const onMove = (e) => {
+    if (!start || !e.isPrimary) return;
+    if (Math.hypot(e.clientX - start.x, e.clientY - start.y) > MOVE_TOLERANCE) cancelLongPress();
+  };
+
+  const onUp = (e) => {
+    cancelLongPress();
+    if (!start || !e.isPrimary) return;
+    const dx = e.clientX - start.x;
+    const dy = e.clientY - start.y;
+    const elapsed = performance.now() - start.time;
+    start = null;
+    if (Math.abs(dx) < SWIPE_MIN_DISTANCE || Math.abs(dy) > Math.abs(dx) * SWIPE_MAX_SLOPE || elapsed > SWIPE_MAX_DURATION) return;
+    if (dx < 0) onSwipeLeft?.();
+    else onSwipeRight?.();
+  };
+
+  const onCancel = () => {
+    cancelLongPress();
+    start = null;
+  };
+
+  const listeners = [["pointerdown", onDown], ["pointermove", onMove], ["pointerup", onUp], ["pointercancel", onCancel]];
+  listeners.forEach(([type, listener]) => target.addEventListener(type, listener));
+  return () => {
+    cancelLongPress();
+    listeners.forEach(([type, listener]) => target.removeEventListener(type, listener));
+  };
+}
@@ -0,0 +1,494 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+
+/**
+ * i18n — translation catalogs, active locale and localized deck content.
+ *
+ * UI strings are looked up with `t("quiz.next")`; `{name}` placeholders are
+ * filled from the params object. Deck content may use either a plain string
+ * or a per-locale object (`{ "fr": "…", "en": "…" }`), resolved by `localize`.
+ */
+
+export const LOCALES = [
+  { code: "fr", label: "FR", name: "Français", speechLang: "fr-FR" },
+  { code: "en", label: "EN", name: "English", speechLang: "en-US" },
+];
+export const DEFAULT_LOCALE = "fr";
+
+const STORAGE_KEY = "phrise-chrono.locale";
+
+const CATALOGS = {
+  fr: {
+    "app.loading": "Chargement…",
+    "app.loadingDeck": "Préparation du deck « {name} »",
+    "app.invalidDeck": "Deck invalide",
+    "app.checkDeckFile": "Vérifiez le fichier public/decks/{name}.json",
+    "deck.error.notObject": "Le deck doit être un objet JSON.",
+    "deck.error.invalid": "Le deck contient {count} erreur(s).",
+    "deck.error.network": "Impossible de charger {url} : {reason}",
+    "deck.error.http": "Impossible de charger {url} (HTTP {status}).",
+    "deck.error.json": "{url} n'est pas un JSON valide : {reason}",
+    "deck.error.importJson": "JSON invalide : {reason}",
+    "intro.start": "🚀 Commencer le voyage",
+    "intro.pressBefore": "Ou appuyez sur",
+    "intro.pressAfter": "pour démarrer",
+    "intro.spaceKey": "ESPACE",
+    "intro.credits": "Réalisé par",
+    "intro.skip": "Passer l'intro →",
+    "header.hint": "Naviguez avec les flèches ← →",
+    "info.event": "Événement",
+    "info.keyPoints": "À retenir",
+    "controls.label": "Contrôles frise chrono",
+    "controls.prev": "Événement précédent",
+    "controls.next": "Événement suivant",
+    "controls.voiceOn": "Activer la narration",
+    "controls.voiceOff": "Désactiver la narration",
+    "controls.quiz": "🎮 Quiz",
+    "controls.manualMode": "Mode manuel",
+    "controls.edit": "Mode édition",
+    "kiosk.teaser": "À découvrir",
+    "scrubber.label": "Frise chronologique",
+    "map.label": "Carte des événements (WebGL indisponible)",
+    "quality.label": "Qualité graphique",
+    "quality.auto": "Auto",
+    "quality.low": "Basse",
+    "quality.medium": "Moyenne",
+    "quality.high": "Haute",
+    "quality.autoHint": "S'adapte à la fluidité mesurée (actuellement : {tier}).",
+    "quality.stats": "Afficher la qualité et le temps par image",
+    "palette.label": "Palette de commandes",
+    "palette.open": "Rechercher (Ctrl+K)",
+    "palette.placeholder": "Rechercher un événement, un lieu, une année ou une commande…",
+    "palette.events": "Événements",
+    "palette.commands": "Commandes",
+    "palette.empty": "Aucun résultat",
+    "palette.hint": "↑ ↓ pour choisir · Entrée pour valider · Échap pour fermer",
+    "palette.startQuiz": "Lancer le quiz",
+    "shortcuts.title": "Raccourcis clavier",
+    "shortcuts.close": "Fermer",
+    "shortcuts.start": "Commencer le voyage",
+    "shortcuts.skipIntro": "Passer l'introduction",
+    "shortcuts.next": "Événement suivant",
+    "shortcuts.prev": "Événement précédent",
+    "shortcuts.first": "Premier événement",
+    "shortcuts.last": "Dernier événement",
+    "shortcuts.jump": "Aller au n-ième événement",
+    "shortcuts.narration": "Activer / couper la narration",
+    "shortcuts.palette": "Palette de commandes",
+    "shortcuts.answer": "Choisir une réponse",
+    "shortcuts.nextQuestion": "Question suivante",
+    "shortcuts.leave": "Revenir à la frise",
+    "shortcuts.help": "Afficher les raccourcis",
+    "categories.label": "Catégories",
+    "categories.all": "Toutes",
+    "categories.count": "{count}/{total} événements",
+    "tour.play": "Lancer la visite guidée",
+    "tour.pause": "Mettre la visite en pause",
+    "tour.resume": "Reprendre la visite",
+    "tour.settings": "Réglages de la visite",
+    "tour.dwell": "Durée par événement",
+    "tour.seconds": "{value} s",
+    "tour.quizAtEnd": "Enchaîner sur le quiz à la fin",
+    "tour.hint": "Avec la voix, la visite attend la fin de la narration. Toute interaction la met en pause.",
+    "controls.language": "Langue",
+    "narration.pause": "Mettre la narration en pause",
+    "narration.resume": "Reprendre la narration",
+    "narration.replay": "Réécouter la phrase",
+    "narration.skip": "Phrase suivante",
+    "narration.sentence": "{index}/{total}",
+    "narration.settings": "Réglages de la voix",
+    "narration.speed": "Vitesse",
+    "narration.voice": "Voix",
+    "narration.autoVoice": "Automatique",
+    "narration.nextSentenceHint": "Les changements s'appliquent à partir de la phrase suivante.",
+    "narration.typewriter": "Machine à écrire",
+    "captions.toggle": "Afficher les sous-titres",
+    "captions.export": "Transcription de la visite",
+    "captions.export.vtt": "WebVTT",
+    "captions.export.srt": "SRT",
+    "narration.typewriterHint": "Sans voix, afficher le texte mot à mot",
+    "editor.title": "Mode édition",
+    "editor.textLocale": "Textes saisis en {language}",
+    "editor.close": "Terminer",
+    "editor.untitled": "(sans titre)",
+    "editor.add": "+ Ajouter un événement",
+    "editor.remove": "Supprimer l'événement",
+    "editor.confirmRemove": "Supprimer « {title} » ?",
+    "editor.moveUp": "Monter",
+    "editor.moveDown": "Descendre",
+    "editor.year": "Année",
+    "editor.accent": "Couleur",
+    "editor.titleField": "Titre",
+    "editor.location": "Lieu",
+    "editor.text": "Texte narré",
+    "editor.lon": "Longitude",
+    "editor.lat": "Latitude",
+    "editor.pickHint": "Cliquez sur le globe pour placer l'événement.",
+    "editor.export": "Exporter le deck",
+    "editor.import": "Importer",
+    "editor.exportHint": "Placez le fichier dans public/decks/ puis ouvrez ?deck={name}.",
+    "editor.exported": "{name}.json téléchargé.",
+    "editor.issues": "Le deck contient {count} erreur(s) à corriger :",
+    "editor.imported": "{count} événement(s) importé(s).",
+    "editor.importError": "Import impossible : {message}",
+    "quiz.progress": "Question {current}/{total}",
+    "quiz.score": "Score : {score}",
+    "quiz.timeLeft": "Temps restant",
+    "quiz.seeScore": "Voir mon score",
+    "quiz.next": "Question suivante",
+    "quizgen.year": "En quelle année : « {title} » ?",
+    "quizgen.location": "Où s'est déroulé l'événement « {title} » ?",
+    "quizgen.creator": "Qui est à l'origine de {creation} ?",
+    "quizgen.first": "Lequel de ces événements a eu lieu en premier ?",
+    "quizgen.explanation": "« {title} » : {year}, {location}.",
+    "quizgen.order": "Remettez ces événements dans l'ordre chronologique",
+    "quizgen.geo": "Où s'est déroulé « {title} » ?",
+    "quiz.geoHint": "Cliquez sur le globe pour placer votre réponse (faites-le tourner en le glissant).",
+    "quiz.geoDistance": "Vous étiez à {distance} km du lieu exact.",
+    "quiz.geoMissed": "Temps écoulé : le lieu exact est indiqué sur le globe.",
+    "quizgen.orderExplanation": "Ordre correct : {order}",
+    "quiz.orderHint": "Glissez-déposez les cartes, ou sélectionnez-en une avec Espace puis déplacez-la avec ↑ ↓.",
+    "quiz.orderSubmit": "Valider l'ordre",
+    "quiz.orderResult": "{correct}/{total} cartes bien placées",
+    "quiz.moveUp": "Monter « {title} »",
+    "quiz.moveDown": "Descendre « {title} »",
+    "quiz.grabbed": "« {title} » sélectionné, position {position} sur {total}. Utilisez ↑ ↓ puis Espace pour déposer.",
+    "quiz.moved": "« {title} » déplacé en position {position} sur {total}.",
+    "quiz.dropped": "« {title} » déposé en position {position}.",
+    "leaderboard.title": "🏆 Classement",
+    "leaderboard.open": "🏆 Classement",
+    "leaderboard.close": "Fermer",
+    "leaderboard.empty": "Aucun score enregistré pour l'instant.",
+    "leaderboard.yourScore": "Votre score",
+    "leaderboard.summary": "{correct}/{total} bonnes réponses · meilleure série : {streak}",
+    "leaderboard.namePlaceholder": "Votre nom",
+    "leaderboard.anonymous": "Anonyme",
+    "leaderboard.save": "Enregistrer",
+    "leaderboard.continue": "Continuer vers les prédictions →",
+    "leaderboard.bestStreak": "Meilleure série",
+    "leaderboard.export": "Exporter (JSON)",
+    "leaderboard.import": "Importer",
+    "leaderboard.clear": "Effacer",
+    "leaderboard.confirmClear": "Effacer tout le classement de cet appareil ?",
+    "leaderboard.imported": "{count} résultat(s) importé(s).",
+    "leaderboard.importError": "Import impossible : {message}",
+    "prediction.title": "Prédictions Futur",
+    "prediction.intro": "Sélectionnez les scénarios qui vous semblent les plus probables pour le futur de l'IA",
+    "prediction.quizScore": "Score du quiz : ",
+    "prediction.points": "{score} pts",
+    "prediction.submit": "Voir l'avis du robot",
+    "prediction.analysisTitle": "Analyse du Robot 🤖",
+    "prediction.quizScoreLabel": "Score Quiz",
+    "prediction.predictionsLabel": "Prédictions",
+    "prediction.thanks": "Merci d'avoir exploré l'histoire de la technologie ! L'avenir de l'IA dépend de nos choix d'aujourd'hui. 🌟",
+    "prediction.showVideo": "🎬 Découvrir la vidéo finale",
+    "prediction.restart": "Recommencer l'exploration",
+    "prediction.videoTitle": "Et maintenant ? 🎬",
+    "prediction.videoIntro": "Découvrez cette vidéo pour aller plus loin",
+    "prediction.videoUnsupported": "Votre navigateur ne supporte pas la lecture de vidéos.",
+    "impact.positive": "positif",
+    "impact.neutral": "neutre",
+    "impact.controversial": "controversé",
+    "impact.revolutionary": "révolutionnaire",
+    "robot.none": "Aucune prédiction ? L'avenir est entre vos mains ! 🤖",
+    "robot.listen": "🔊 Écouter l'analyse",
+    "robot.stop": "⏹ Arrêter",
+    "robot.profile": "Profil : {name}",
+    "robot.single": "Vous ne retenez qu'un scénario : en {year}, « {scenario} ».",
+    "robot.range": "Vous retenez {count} scénarios, de {firstYear} avec « {first} » jusqu'à {lastYear} avec « {last} ».",
+    "robot.horizon.near": "Vos paris se concentrent sur un avenir proche, autour de {year} : vous croyez aux changements que l'on voit déjà venir.",
+    "robot.horizon.mid": "Votre horizon se situe vers {year} : assez loin pour rêver, assez près pour s'y préparer.",
+    "robot.horizon.far": "Vous regardez loin, vers {year} : les transformations que vous imaginez demanderont une génération.",
+    "robot.horizon.spread": "Vos choix s'étalent sur plusieurs décennies : vous voyez l'IA comme une transformation continue, pas comme un événement unique.",
+    "robot.mix": "Votre sélection mêle {mix}.",
+    "robot.mixItem": "{count} scénario(s) {impact}",
+    "robot.persona.optimist.name": "Optimiste",
+    "robot.persona.optimist.intro": "Je détecte un profil optimiste ! 🌞 Pour vous, l'IA est d'abord un outil au service du progrès.",
+    "robot.persona.optimist.advice": "Gardez cet enthousiasme, mais n'oubliez pas que chaque progrès pose aussi des questions de contrôle et d'équité.",
+    "robot.persona.sceptic.name": "Sceptique",
+    "robot.persona.sceptic.intro": "Profil sceptique détecté. 🧐 Vous ne croyez qu'à ce qui est déjà à portée de main.",
+    "robot.persona.sceptic.advice": "La prudence est une vertu… mais l'histoire de la tech montre que l'improbable arrive souvent plus vite que prévu.",
+    "robot.persona.accelerationist.name": "Accélérationniste",
+    "robot.persona.accelerationist.intro": "Profil accélérationniste ! 🚀 Vous pariez sur des ruptures majeures et rapides.",
+    "robot.persona.accelerationist.advice": "Si vous avez raison, nos lois et nos institutions devront évoluer aussi vite que les machines.",
+    "robot.persona.guardian.name": "Gardien éthique",
+    "robot.persona.guardian.intro": "Profil de gardien éthique. ⚖️ Vous voyez surtout les dilemmes que l'IA va soulever.",
+    "robot.persona.guardian.advice": "Ce regard critique est précieux : ce sont ces débats qui décideront de la place que nous donnerons aux machines.",
+    "robot.persona.pragmatist.name": "Pragmatique",
+    "robot.persona.pragmatist.intro": "Profil pragmatique. 🧠 Vous pesez les opportunités et les risques sans excès.",
+    "robot.persona.pragmatist.advice": "Un bon équilibre entre optimisme et réalisme : exactement ce qu'il faut pour débattre de l'avenir de l'IA.",
+  },
+  en: {
+    "app.loading": "Loading…",
+    "app.loadingDeck": "Preparing deck “{name}”",
+    "app.invalidDeck": "Invalid deck",
+    "app.checkDeckFile": "Check the file public/decks/{name}.json",
+    "deck.error.notObject": "The deck must be a JSON object.",
+    "deck.error.invalid": "The deck has {count} error(s).",
+    "deck.error.network": "Could not load {url}: {reason}",
+    "deck.error.http": "Could not load {url} (HTTP {status}).",
+    "deck.error.json": "{url} is not valid JSON: {reason}",
+    "deck.error.importJson": "Invalid JSON: {reason}",
+    "intro.start": "🚀 Start the journey",
+    "intro.pressBefore": "Or press",
+    "intro.pressAfter": "to begin",
+    "intro.spaceKey": "SPACE",
+    "intro.credits": "Made by",
+    "intro.skip": "Skip intro →",
+    "header.hint": "Navigate with the ← → arrows",
+    "info.event": "Event",
+    "info.keyPoints": "Key points",
+    "controls.label": "Timeline controls",
+    "controls.prev": "Previous event",
+    "controls.next": "Next event",
+    "controls.voiceOn": "Turn narration on",
+    "controls.voiceOff": "Turn narration off",
+    "controls.quiz": "🎮 Quiz",
+    "controls.manualMode": "Manual mode",
+    "controls.edit": "Edit mode",
+    "kiosk.teaser": "Discover",
+    "scrubber.label": "Chronological timeline",
+    "map.label": "Map of the events (WebGL unavailable)",
+    "quality.label": "Graphics quality",
+    "quality.auto": "Auto",
+    "quality.low": "Low",
+    "quality.medium": "Medium",
+    "quality.high": "High",
+    "quality.autoHint": "Adapts to the measured frame rate (currently: {tier}).",
+    "quality.stats": "Show quality and frame time",
+    "palette.label": "Command palette",
+    "palette.open": "Search (Ctrl+K)",
+    "palette.placeholder": "Search an event, a place, a year or a command…",
+    "palette.events": "Events",
+    "palette.commands": "Commands",
+    "palette.empty": "No results",
+    "palette.hint": "↑ ↓ to choose · Enter to confirm · Esc to close",
+    "palette.startQuiz": "Start the quiz",
+    "shortcuts.title": "Keyboard shortcuts",
+    "shortcuts.close": "Close",
+    "shortcuts.start": "Start the journey",
+    "shortcuts.skipIntro": "Skip the intro",
+    "shortcuts.next": "Next event",
+    "shortcuts.prev": "Previous event",
+    "shortcuts.first": "First event",
+    "shortcuts.last": "Last event",
+    "shortcuts.jump": "Go to the n-th event",
+    "shortcuts.narration": "Toggle the narration",
+    "shortcuts.palette": "Command palette",
+    "shortcuts.answer": "Pick an answer",
+    "shortcuts.nextQuestion": "Next question",
+    "shortcuts.leave": "Back to the timeline",
+    "shortcuts.help": "Show the shortcuts",
+    "categories.label": "Categories",
+    "categories.all": "All",
+    "categories.count": "{count}/{total} events",
+    "tour.play": "Start the guided tour",
+    "tour.pause": "Pause the tour",
+    "tour.resume": "Resume the tour",
+    "tour.settings": "Tour settings",
+    "tour.dwell": "Time per event",
+    "tour.seconds": "{value} s",
+    "tour.quizAtEnd": "Continue to the quiz at the end",
+    "tour.hint": "With the voice on, the tour waits for the narration to end. Any interaction pauses it.",
+    "controls.language": "Language",
+    "narration.pause": "Pause narration",
+    "narration.resume": "Resume narration",
+    "narration.replay": "Replay sentence",
+    "narration.skip": "Next sentence",
+    "narration.sentence": "{index}/{total}",
+    "narration.settings": "Voice settings",
+    "narration.speed": "Speed",
+    "narration.voice": "Voice",
+    "narration.autoVoice": "Automatic",
+    "narration.nextSentenceHint": "Changes apply from the next sentence.",
+    "narration.typewriter": "Typewriter",
+    "captions.toggle": "Show captions",
+    "captions.export": "Tour transcript",
+    "captions.export.vtt": "WebVTT",
+    "captions.export.srt": "SRT",
+    "narration.typewriterHint": "With the voice off, reveal the text word by word",
+    "editor.title": "Edit mode",
+    "editor.textLocale": "Texts entered in {language}",
+    "editor.close": "Done",
+    "editor.untitled": "(untitled)",
+    "editor.add": "+ Add an event",
+    "editor.remove": "Remove event",
+    "editor.confirmRemove": "Remove “{title}”?",
+    "editor.moveUp": "Move up",
+    "editor.moveDown": "Move down",
+    "editor.year": "Year",
+    "editor.accent": "Colour",
+    "editor.titleField": "Title",
+    "editor.location": "Location",
+    "editor.text": "Narrated text",
+    "editor.lon": "Longitude",
+    "editor.lat": "Latitude",
+    "editor.pickHint": "Click the globe to place the event.",
+    "editor.export": "Export deck",
+    "editor.import": "Import",
+    "editor.exportHint": "Put the file in public/decks/ then open ?deck={name}.",
+    "editor.exported": "{name}.json downloaded.",
+    "editor.issues": "The deck has {count} issue(s) to fix:",
+    "editor.imported": "{count} event(s) imported.",
+    "editor.importError": "Import failed: {message}",
+    "quiz.progress": "Question {current}/{total}",
+    "quiz.score": "Score: {score}",
+    "quiz.timeLeft": "Time left",
+    "quiz.seeScore": "See my score",
+    "quiz.next": "Next question",
+    "quizgen.year": "In what year: “{title}”?",
+    "quizgen.location": "Where did “{title}” take place?",
+    "quizgen.creator": "Who is behind {creation}?",
+    "quizgen.first": "Which of these events happened first?",
+    "quizgen.explanation": "“{title}”: {year}, {location}.",
+    "quizgen.order": "Put these events in chronological order",
+    "quizgen.geo": "Where did “{title}” happen?",
+    "quiz.geoHint": "Click the globe to place your answer (drag to rotate it).",
+    "quiz.geoDistance": "You were {distance} km away from the exact place.",
+    "quiz.geoMissed": "Time's up: the exact place is shown on the globe.",
+    "quizgen.orderExplanation": "Correct order: {order}",
+    "quiz.orderHint": "Drag and drop the cards, or select one with Space and move it with ↑ ↓.",
+    "quiz.orderSubmit": "Check the order",
+    "quiz.orderResult": "{correct}/{total} cards in the right place",
+    "quiz.moveUp": "Move “{title}” up",
+    "quiz.moveDown": "Move “{title}” down",
+    "quiz.grabbed": "“{title}” selected, position {position} of {total}. Use ↑ ↓ then Space to drop.",
+    "quiz.moved": "“{title}” moved to position {position} of {total}.",
+    "quiz.dropped": "“{title}” dropped at position {position}.",
+    "leaderboard.title": "🏆 Leaderboard",
+    "leaderboard.open": "🏆 Leaderboard",
+    "leaderboard.close": "Close",
+    "leaderboard.empty": "No scores recorded yet.",
+    "leaderboard.yourScore": "Your score",
+    "leaderboard.summary": "{correct}/{total} correct answers · best streak: {streak}",
+    "leaderboard.namePlaceholder": "Your name",
+    "leaderboard.anonymous": "Anonymous",
+    "leaderboard.save": "Save",
+    "leaderboard.continue": "Continue to predictions →",
+    "leaderboard.bestStreak": "Best streak",
+    "leaderboard.export": "Export (JSON)",
+    "leaderboard.import": "Import",
+    "leaderboard.clear": "Clear",
+    "leaderboard.confirmClear": "Clear the whole leaderboard on this device?",
+    "leaderboard.imported": "{count} result(s) imported.",
+    "leaderboard.importError": "Import failed: {message}",
+    "prediction.title": "Future Predictions",
+    "prediction.intro": "Select the scenarios you find most likely for the future of AI",
+    "prediction.quizScore": "Quiz score: ",
+    "prediction.points": "{score} pts",
+    "prediction.submit": "See the robot's opinion",
+    "prediction.analysisTitle": "Robot Analysis 🤖",
+    "prediction.quizScoreLabel": "Quiz score",
+    "prediction.predictionsLabel": "Predictions",
+    "prediction.thanks": "Thanks for exploring the history of technology! The future of AI depends on the choices we make today. 🌟",
+    "prediction.showVideo": "🎬 Watch the final video",
+    "prediction.restart": "Restart the exploration",
+    "prediction.videoTitle": "What now? 🎬",
+    "prediction.videoIntro": "Watch this video to go further",
+    "prediction.videoUnsupported": "Your browser does not support video playback.",
+    "impact.positive": "positive",
+    "impact.neutral": "neutral",
+    "impact.controversial": "controversial",
+    "impact.revolutionary": "revolutionary",
+    "robot.none": "No predictions? The future is in your hands! 🤖",
+    "robot.listen": "🔊 Listen to the analysis",
+    "robot.stop": "⏹ Stop",
+    "robot.profile": "Profile: {name}",
+    "robot.single": "You picked a single scenario: in {year}, “{scenario}”.",
+    "robot.range": "You picked {count} scenarios, from {firstYear} with “{first}” to {lastYear} with “{last}”.",
+    "robot.horizon.near": "Your bets focus on the near future, around {year}: you believe in the changes we can already see coming.",
+    "robot.horizon.mid": "Your horizon sits around {year}: far enough to dream, close enough to prepare.",
+    "robot.horizon.far": "You look far ahead, towards {year}: the transformations you imagine will take a generation.",
+    "robot.horizon.spread": "Your choices span several decades: you see AI as a continuous transformation rather than a single event.",
+    "robot.mix": "Your selection mixes {mix}.",
+    "robot.mixItem": "{count} {impact} scenario(s)",
+    "robot.persona.optimist.name": "Optimist",
+    "robot.persona.optimist.intro": "I detect an optimist! 🌞 To you, AI is first and foremost a tool for progress.",
+    "robot.persona.optimist.advice": "Keep that enthusiasm, but remember that every breakthrough also raises questions of control and fairness.",
+    "robot.persona.sceptic.name": "Sceptic",
+    "robot.persona.sceptic.intro": "Sceptic profile detected. 🧐 You only believe in what is already within reach.",
+    "robot.persona.sceptic.advice": "Caution is a virtue… but the history of tech shows the improbable often arrives sooner than expected.",
+    "robot.persona.accelerationist.name": "Accelerationist",
+    "robot.persona.accelerationist.intro": "Accelerationist profile! 🚀 You are betting on major, fast disruptions.",
+    "robot.persona.accelerationist.advice": "If you are right, our laws and institutions will have to evolve as fast as the machines.",
+    "robot.persona.guardian.name": "Ethical guardian",
+    "robot.persona.guardian.intro": "Ethical guardian profile. ⚖️ You mostly see the dilemmas AI will raise.",
+    "robot.persona.guardian.advice": "That critical eye matters: these debates will decide the place we give to machines.",
+    "robot.persona.pragmatist.name": "Pragmatist",
+    "robot.persona.pragmatist.intro": "Pragmatist profile. 🧠 You weigh opportunities and risks without excess.",
+    "robot.persona.pragmatist.advice": "A good balance between optimism and realism: exactly what it takes to debate the future of AI.",
+  },
+};
+
+export function isSupportedLocale(code) {
+  return LOCALES.some((locale) => locale.code === code);
+}
+
+export function getLocaleInfo(code) {
+  return LOCALES.find((locale) => locale.code === code) || LOCALES[0];
+}
+
+export function translate(locale, key, params = {}) {
+  const template = CATALOGS[locale]?.[key] ?? CATALOGS[DEFAULT_LOCALE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Saved choice first, then the browser languages, then the default
+export function detectLocale() {
+  if (typeof window === "undefined") return DEFAULT_LOCALE;
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    if (isSupportedLocale(saved)) return saved;
+  } catch (_) {}
+  const languages = window.navigator.languages || [window.navigator.language];
+  const match = languages.map((lang) => (lang || "").slice(0, 2).toLowerCase()).find(isSupportedLocale);
+  return match || DEFAULT_LOCALE;
+}
+
+// Resolve a deck value that is either a plain string or a { locale: string } map
+export function localize(value, locale, fallbackLocale = DEFAULT_LOCALE) {
+  if (value === null || typeof value !== "object" || Array.isArray(value)) return value;
+  return value[locale] ?? value[fallbackLocale] ?? Object.values(value)[0];
+}
+
+// Pick the synthesis voice matching the locale: exact tag, then language prefix
+export function pickVoice(voices, locale) {
+  const { code, speechLang } = getLocaleInfo(locale);
+  const normalize = (lang) => (lang || "").replace("_", "-").toLowerCase();
+  return (
+    voices.find((voice) => normalize(voice.lang) === speechLang.toLowerCase()) ||
+    voices.find((voice) => normalize(voice.lang).startsWith(code)) ||
+    null
+  );
+}
+
+// ---- React binding ----------------------------------------------------------
+const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  setLocale: () => {},
+  t: (key, params) => translate(DEFAULT_LOCALE, key, params),
+});
+
+export function I18nProvider({ children }) {
+  const [locale, setLocaleState] = useState(detectLocale);
+
+  const setLocale = useCallback((code) => {
+    if (!isSupportedLocale(code)) return;
+    setLocaleState(code);
+    try { window.localStorage.setItem(STORAGE_KEY, code); } catch (_) {}
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(
+    () => ({ locale, setLocale, t: (key, params) => translate(locale, key, params) }),
+    [locale, setLocale]
+  );
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,109 @@
+/**
+ * Kiosk / museum mode — unattended touchscreen at an exhibition.
+ *
+ *   ?kiosk         → kiosk mode, back to the welcome screen after 90 s idle
+ *   ?kiosk=120     → custom idle timeout (seconds)
+ *
+ * The app hides its developer affordances (editor, exports, leaderboard
+ * management), starts a fresh session for every visitor and plays an attract
+ * loop on the welcome screen. `lockDown` blocks text selection, context
+ * menus, zoom gestures and the browser's navigation shortcuts.
+ */
+
+export const DEFAULT_IDLE_SECONDS = 90;
+export const MIN_IDLE_SECONDS = 15;
+export const ATTRACT_INTERVAL_MS = 6000;
+
+const ACTIVITY_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart"];
+
+// Browser shortcuts that would leave, reload or zoom the page
+const BLOCKED_KEYS = new Set(["F1", "F3", "F5", "F6", "F7", "F11", "F12", "BrowserBack", "BrowserForward", "BrowserHome"]);
+const BLOCKED_CTRL_KEYS = new Set(["r", "p", "s", "o", "f", "g", "h", "j", "l", "n", "t", "u", "+", "-", "=", "0"]);
+
+// { idleSeconds } when kiosk mode is on, otherwise null
+export function readKioskConfig(search = typeof window !== "undefined" ? window.location.search : "") {
+  const params = new URLSearchParams(search);
+  if (!params.has("kiosk")) return null;
+  const value = params.get("kiosk");
+  if (value === "0" || value === "false") return null;
+  const seconds = Number.parseInt(value, 10);
+  return { idleSeconds: Number.isInteger(seconds) ? Math.max(MIN_IDLE_SECONDS, seconds) : DEFAULT_IDLE_SECONDS };
+}
+
+/**
+ * Calls `onIdle` once nobody touched the screen for `timeoutMs`.
+ * @returns {Function} stop
+ */
+export function watchIdle(timeoutMs, onIdle) {
+  let timer = null;
+  const restart = () => {
+    clearTimeout(timer);
+    timer = setTimeout(onIdle, timeoutMs);
+  };
+  restart();
+  ACTIVITY_EVENTS.forEach((type) => window.addEventListener(type, restart, { capture: true, passive: true }));
+  return () => {
+    clearTimeout(timer);
+    ACTIVITY_EVENTS.forEach((type) => window.removeEventListener(type, restart, { capture: true }));
+  };
+}
+
+function isEditable(target) {
+  return !!target?.closest?.("input, textarea, select, [contenteditable='true']");
+}
+
+/**
+ * Blocks the interactions an exhibition visitor should not reach.
+ * @returns {Function} cleanup
+ */
+export function lockDown() {
+  const root = document.documentElement;
+  const prevent = (domEvent) => domEvent.preventDefault();
+  // Images and links only: the quiz ordering cards are draggable on purpose
+  const preventNativeDrag = (domEvent) => {
+    if (!domEvent.target.closest?.('[draggable="true"]')) domEvent.preventDefault();
+  };
+  const preventOutsideFields = (domEvent) => {
+    if (!isEditable(domEvent.target)) domEvent.preventDefault();
+  };
+  const onKeyDown = (domEvent) => {
+    const key = domEvent.key;
+    const navigation = domEvent.altKey && (key === "ArrowLeft" || key === "ArrowRight" || key === "Home");
+    const shortcut = (domEvent.ctrlKey || domEvent.metaKey) && BLOCKED_CTRL_KEYS.has(key.toLowerCase());
+    const backspace = key === "Backspace" && !isEditable(domEvent.target);
+    if (BLOCKED_KEYS.has(key) || navigation || shortcut || backspace) domEvent.preventDefault();
+  };
+  // Pinch zoom: trackpads send ctrl+wheel, Safari sends gesture events
+  const onWheel = (domEvent) => {
+    if (domEvent.ctrlKey) domEvent.preventDefault();
+  };
+  const onTouchMove = (domEvent) => {
+    if (domEvent.touches.length > 1) domEvent.preventDefault();
+  };
+  const onBeforeUnload = (domEvent) => {
+    domEvent.preventDefault();
+    domEvent.returnValue = "";
+  };
+
+  const listeners = [
+    ["contextmenu", prevent],
+    ["selectstart", preventOutsideFields],
+    ["dragstart", preventNativeDrag],
+    ["keydown", onKeyDown],
+    ["wheel", onWheel],
+    ["touchmove", onTouchMove],
+    ["gesturestart", prevent],
+    ["beforeunload", onBeforeUnload],
+  ];
+  root.classList.add("kiosk");
+  listeners.forEach(([type, listener]) => window.addEventListener(type, listener, { capture: true, passive: false }));
+  return () => {
+    root.classList.remove("kiosk");
+    listeners.forEach(([type, listener]) => window.removeEventListener(type, listener, { capture: true }));
+  };
+}
+
+// Forget the deep link so the next session starts on the first event
+export function clearRoute() {
+  window.history.replaceState(null, "", `${window.location.pathname}${window.location.search}`);
+}
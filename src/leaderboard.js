@@ -0,0 +1,102 @@
+/**
+ * Quiz leaderboard — results persisted in localStorage.
+ *
+ * Entry shape:
+ * { id, name, score, date (ISO), deck, bestStreak,
+ *   questions: [{ question, correct, points }] }
+ *
+ * Export/import use the same JSON array so a teacher can merge the results
+ * of several machines; entries are deduplicated by id.
+ */
+
+const STORAGE_KEY = "phrise-chrono.leaderboard";
+const MAX_NAME_LENGTH = 24;
+
+export function bestStreak(results) {
+  let best = 0;
+  let current = 0;
+  results.forEach(({ correct }) => {
+    current = correct ? current + 1 : 0;
+    best = Math.max(best, current);
+  });
+  return best;
+}
+
+export function sortEntries(entries) {
+  return entries.slice().sort((a, b) => b.score - a.score || a.date.localeCompare(b.date));
+}
+
+function isValidEntry(entry) {
+  return (
+    entry && typeof entry === "object" &&
+    typeof entry.id === "string" &&
+    typeof entry.name === "string" &&
+    Number.isFinite(entry.score) &&
+    typeof entry.date === "string" &&
+    Array.isArray(entry.questions)
+  );
+}
+
+export function loadLeaderboard() {
+  try {
+    const raw = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(raw) ? sortEntries(raw.filter(isValidEntry)) : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function saveLeaderboard(entries) {
+  const sorted = sortEntries(entries);
+  try { window.localStorage.setItem(STORAGE_KEY, JSON.stringify(sorted)); } catch (_) {}
+  return sorted;
+}
+
+export function createEntry({ name, fallbackName = "?", score, results, deck }) {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: (name || "").trim().slice(0, MAX_NAME_LENGTH) || fallbackName,
+    score,
+    date: new Date().toISOString(),
+    deck,
+    bestStreak: bestStreak(results),
+    questions: results.map(({ question, correct, points }) => ({ question, correct, points })),
+  };
+}
+
+// Append an entry and return the updated, sorted leaderboard
+export function addEntry(entry) {
+  return saveLeaderboard([...loadLeaderboard(), entry]);
+}
+
+export function exportLeaderboard(entries = loadLeaderboard()) {
+  return JSON.stringify(entries, null, 2);
+}
+
+// Merge exported JSON into the local leaderboard; throws on malformed input
+export function importLeaderboard(json) {
+  const parsed = JSON.parse(json);
+  if (!Array.isArray(parsed)) throw new Error("expected a JSON array of results");
+  const incoming = parsed.filter(isValidEntry);
+  const byId = new Map(loadLeaderboard().map((entry) => [entry.id, entry]));
+  incoming.forEach((entry) => {
+    byId.set(entry.id, { bestStreak: bestStreak(entry.questions), ...entry });
+  });
+  return { entries: saveLeaderboard([...byId.values()]), imported: incoming.length };
+}
+
+export function clearLeaderboard() {
+  return saveLeaderboard([]);
+}
+
+// Trigger a browser download of the given text
+export function downloadFile(filename, text, type = "application/json") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
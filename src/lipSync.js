@@ -0,0 +1,93 @@
+/**
+ * Lip sync — mouth openness of `RobotHead`, sampled on every animation frame.
+ *
+ * With speech synthesis the mouth follows the sentence being spoken: each
+ * character maps to a viseme (open and rounded vowels, closed bilabials,
+ * teeth-on-lip f/v…) played at an estimated pace, re-anchored on every word
+ * boundary event. With recorded narration the analyser level is used
+ * instead. Values live outside React state so the robot animates without
+ * re-rendering the app.
+ */
+
+const CHARS_PER_SECOND = 15; // ≈ 165 words per minute at rate 1
+const REST = 0.08;           // spaces and punctuation
+const IDLE = 0.15;
+const SMOOTHING_MS = 45;
+
+const VISEMES = [
+  [/[aàâä]/, 1],
+  [/[oôö]/, 0.75],
+  [/[eéèêë]/, 0.6],
+  [/[uùûü]/, 0.45],
+  [/[iîïyÿ]/, 0.4],
+  [/[mbp]/, 0],
+  [/[fv]/, 0.15],
+  [/[\p{L}\d]/u, 0.3],
+];
+
+export function visemeFor(char = "") {
+  const lower = char.toLowerCase();
+  const match = VISEMES.find(([pattern]) => pattern.test(lower));
+  return match ? match[1] : REST;
+}
+
+export function createLipSync() {
+  let mode = "idle"; // idle | text | level | paused
+  let text = "";
+  let msPerChar = 1000 / CHARS_PER_SECOND;
+  let anchor = { char: 0, at: 0 };
+  let pausedFrom = null;
+  let level = 0;
+  let value = IDLE;
+  let lastSample = 0;
+
+  function target(now) {
+    if (mode === "level") return 0.1 + level * 0.9;
+    if (mode !== "text") return mode === "paused" ? REST : IDLE;
+    const position = anchor.char + (now - anchor.at) / msPerChar;
+    if (position >= text.length) return REST;
+    // Blend towards the next character for a smoother mouth
+    const index = Math.floor(position);
+    const blend = position - index;
+    return visemeFor(text[index]) * (1 - blend) + visemeFor(text[index + 1]) * blend;
+  }
+
+  return {
+    // A sentence starts being spoken
+    speakText(sentence, rate = 1) {
+      mode = "text";
+      text = sentence;
+      msPerChar = 1000 / (CHARS_PER_SECOND * Math.max(0.1, rate));
+      anchor = { char: 0, at: performance.now() };
+    },
+    // Real word boundary: the estimate jumps to the spoken character
+    boundary(charIndex) {
+      if (mode === "text") anchor = { char: charIndex, at: performance.now() };
+    },
+    // Recorded narration: amplitude 0..1 from the analyser
+    setLevel(nextLevel) {
+      mode = nextLevel > 0 ? "level" : "idle";
+      level = nextLevel;
+    },
+    pause() {
+      if (mode !== "text") return;
+      mode = "paused";
+      pausedFrom = performance.now();
+    },
+    resume() {
+      if (mode !== "paused") return;
+      mode = "text";
+      anchor = { ...anchor, at: anchor.at + (performance.now() - pausedFrom) };
+    },
+    stop() {
+      mode = "idle";
+    },
+    // Smoothed openness (0..1) at frame time `now`
+    sample(now) {
+      const dt = lastSample ? Math.min(100, now - lastSample) : 16;
+      lastSample = now;
+      value += (target(now) - value) * (1 - Math.exp(-dt / SMOOTHING_MS));
+      return value;
+    },
+  };
+}
@@ -0,0 +1,159 @@
+/**
+ * Narrator — sentence-by-sentence speech synthesis with transport controls.
+ *
+ * Sentences are handed to `speechSynthesis` one at a time (instead of queueing
+ * the whole text at once) so the current one can be replayed or skipped, and a
+ * new rate or voice applies from the next sentence. State changes are reported
+ * as `{ status: "idle" | "speaking" | "paused", index, total, text, finished }`
+ * where `text` is the sentence being spoken (used for captions) and
+ * `finished` is true once every sentence has been read (not after `stop`).
+ *
+ * Settings (rate, chosen voice per locale, typewriter reveal when the voice
+ * is off, captions) persist in localStorage.
+ */
+
+const STORAGE_KEY = "phrise-chrono.narration";
+export const RATE_MIN = 0.5;
+export const RATE_MAX = 2;
+export const RATE_STEP = 0.1;
+const PITCH = 0.9; // slightly robotic
+
+export const DEFAULT_NARRATION_SETTINGS = { rate: 1, voices: {}, typewriter: false, captions: false };
+
+function clampRate(rate) {
+  return Number.isFinite(rate) ? Math.min(RATE_MAX, Math.max(RATE_MIN, rate)) : DEFAULT_NARRATION_SETTINGS.rate;
+}
+
+export function loadNarrationSettings() {
+  try {
+    const raw = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "{}");
+    return {
+      rate: clampRate(raw.rate),
+      voices: raw.voices && typeof raw.voices === "object" ? raw.voices : {},
+      typewriter: typeof raw.typewriter === "boolean" ? raw.typewriter : DEFAULT_NARRATION_SETTINGS.typewriter,
+      captions: typeof raw.captions === "boolean" ? raw.captions : DEFAULT_NARRATION_SETTINGS.captions,
+    };
+  } catch (_) {
+    return { ...DEFAULT_NARRATION_SETTINGS };
+  }
+}
+
+export function saveNarrationSettings(settings) {
+  try { window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings)); } catch (_) {}
+}
+
+export function isSpeechSupported() {
+  return typeof window !== "undefined" && !!window.speechSynthesis && typeof window.SpeechSynthesisUtterance === "function";
+}
+
+// Voices speaking the locale's language, by name
+export function voicesForLocale(voices, locale) {
+  return voices
+    .filter((voice) => voice.lang && voice.lang.toLowerCase().startsWith(locale))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {Object} callbacks
+ * @param {Function} [callbacks.onStateChange]  ({ status, index, total, text, finished })
+ * @param {Function} [callbacks.onSentence]     (index, text) a sentence starts
+ * @param {Function} [callbacks.onWord]         (index, charIndex) word boundary in sentence `index`
+ */
+export function createNarrator({ onStateChange, onSentence, onWord } = {}) {
+  const synth = window.speechSynthesis;
+  let items = [];
+  let index = 0;
+  let status = "idle";
+  let options = { lang: undefined, voice: null, rate: DEFAULT_NARRATION_SETTINGS.rate };
+  // Bumped on every (re)start so events of cancelled utterances are ignored
+  let token = 0;
+
+  const emit = () => onStateChange?.({
+    status,
+    index,
+    total: items.length,
+    text: items[index] || "",
+    finished: status === "idle" && items.length > 0 && index >= items.length,
+  });
+
+  function finish() {
+    token += 1;
+    status = "idle";
+    emit();
+  }
+
+  function speakCurrent() {
+    const current = ++token;
+    if (synth.paused) synth.resume();
+    synth.cancel();
+    if (index >= items.length) {
+      finish();
+      return;
+    }
+    const utterance = new SpeechSynthesisUtterance(items[index]);
+    if (options.lang) utterance.lang = options.lang;
+    if (options.voice) utterance.voice = options.voice;
+    utterance.rate = options.rate;
+    utterance.pitch = PITCH;
+    utterance.onstart = () => {
+      if (current === token) onSentence?.(index, items[index]);
+    };
+    utterance.onboundary = (e) => {
+      if (current === token && e.name === "word") onWord?.(index, e.charIndex);
+    };
+    const next = () => {
+      if (current !== token) return;
+      index += 1;
+      speakCurrent();
+    };
+    utterance.onend = next;
+    utterance.onerror = (e) => {
+      if (e.error !== "interrupted" && e.error !== "canceled") next();
+    };
+    status = "speaking";
+    emit();
+    synth.speak(utterance);
+  }
+
+  return {
+    speak(sentences) {
+      items = sentences.slice();
+      index = 0;
+      speakCurrent();
+    },
+    // Rate / voice / lang, used from the next sentence on
+    configure(next) {
+      options = { ...options, ...next };
+    },
+    pause() {
+      if (status !== "speaking") return;
+      synth.pause();
+      status = "paused";
+      emit();
+    },
+    resume() {
+      if (status !== "paused") return;
+      synth.resume();
+      status = "speaking";
+      emit();
+    },
+    // Restart the current sentence (or the last one once finished)
+    replay() {
+      if (items.length === 0) return;
+      index = Math.min(index, items.length - 1);
+      speakCurrent();
+    },
+    skip() {
+      if (status === "idle") return;
+      index += 1;
+      speakCurrent();
+    },
+    stop() {
+      if (synth.paused) synth.resume();
+      synth.cancel();
+      items = [];
+      index = 0;
+      finish();
+    },
+  };
+}
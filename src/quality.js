@@ -0,0 +1,98 @@
+/**
+ * Rendering quality — tiers stepped from the measured frame rate.
+ *
+ * In "auto" mode the scene starts on "high" and a frame monitor steps one
+ * tier down when the average frame rate over a sample window drops below
+ * DOWN_FPS, and back up after a calm period above UP_FPS. The player can pin
+ * a tier instead; the choice and the stats overlay persist in localStorage.
+ */
+
+const STORAGE_KEY = "phrise-chrono.quality";
+
+export const QUALITY_TIERS = {
+  low: { segments: 48, stars: 2000, warpStars: 400, maxDpr: 1, antialias: false, clouds: false },
+  medium: { segments: 96, stars: 5000, warpStars: 900, maxDpr: 1.5, antialias: true, clouds: true },
+  high: { segments: 128, stars: 8000, warpStars: 1500, maxDpr: 2, antialias: true, clouds: true },
+};
+export const TIER_ORDER = ["low", "medium", "high"];
+export const QUALITY_MODES = ["auto", ...TIER_ORDER];
+
+export const SAMPLE_WINDOW_MS = 2000;
+const DOWN_FPS = 45;
+const UP_FPS = 57;
+// Windows above UP_FPS needed before stepping up; doubled after every step
+// down, so a machine hovering between two tiers settles on the lower one
+const UP_AFTER_WINDOWS = 4;
+const MAX_UP_AFTER_WINDOWS = 32;
+// Longer frames mean the tab was hidden or the thread busy loading: not a rendering cost
+const MAX_FRAME_MS = 250;
+
+export const DEFAULT_QUALITY_SETTINGS = { mode: "auto", stats: false };
+
+export function loadQualitySettings() {
+  try {
+    const raw = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "{}");
+    return {
+      mode: QUALITY_MODES.includes(raw.mode) ? raw.mode : DEFAULT_QUALITY_SETTINGS.mode,
+      stats: typeof raw.stats === "boolean" ? raw.stats : DEFAULT_QUALITY_SETTINGS.stats,
+    };
+  } catch (_) {
+    return { ...DEFAULT_QUALITY_SETTINGS };
+  }
+}
+
+export function saveQualitySettings(settings) {
+  try { window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings)); } catch (_) {}
+}
+
+// The tier one step up (1) or down (-1), clamped to the ends
+export function stepTier(tier, step) {
+  const index = TIER_ORDER.indexOf(tier) + step;
+  return TIER_ORDER[Math.min(TIER_ORDER.length - 1, Math.max(0, index))];
+}
+
+/**
+ * Averages frame times over SAMPLE_WINDOW_MS windows.
+ * `sample` returns null mid-window, then { frameMs, fps, step } where step
+ * is -1 (too slow), 1 (steady headroom) or 0.
+ */
+export function createFrameMonitor() {
+  let windowStart = null;
+  let frames = 0;
+  let total = 0;
+  let fastWindows = 0;
+  let upAfter = UP_AFTER_WINDOWS;
+
+  return {
+    sample(frameMs, now) {
+      if (windowStart === null) windowStart = now;
+      if (frameMs > 0 && frameMs < MAX_FRAME_MS) {
+        frames += 1;
+        total += frameMs;
+      }
+      if (now - windowStart < SAMPLE_WINDOW_MS || frames === 0) return null;
+      const average = total / frames;
+      const fps = 1000 / average;
+      windowStart = now;
+      frames = 0;
+      total = 0;
+      fastWindows = fps >= UP_FPS ? fastWindows + 1 : 0;
+      let step = 0;
+      if (fps < DOWN_FPS) {
+        step = -1;
+        upAfter = Math.min(MAX_UP_AFTER_WINDOWS, upAfter * 2);
+      } else if (fastWindows >= upAfter) {
+        step = 1;
+      }
+      if (step !== 0) fastWindows = 0;
+      return { frameMs: average, fps, step };
+    },
+    // After a tier change: the next window measures the new settings only
+    reset() {
+      windowStart = null;
+      frames = 0;
+      total = 0;
+      fastWindows = 0;
+    },
+  };
+}
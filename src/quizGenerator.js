@@ -0,0 +1,190 @@
+/**
+ * Quiz generator — builds multiple-choice questions from the deck events.
+ *
+ * One question per event, cycling through the types that apply to it
+ * (year, location, creator, "which came first"). Distractors are drawn from
+ * the other events' values so the quiz follows the deck as it grows. When at
+ * least three events are covered, a chronological ordering question closes
+ * the quiz (`type: "order"`, `items` to sort by year, no `options`). A
+ * "where did it happen?" question (`type: "geo"`) asks the player to pin one
+ * covered event on the globe and is scored by great-circle distance.
+ * Question/explanation wording comes from the i18n catalogs via `t`.
+ */
+
+const OPTION_COUNT = 4;
+const ORDER_ITEM_COUNT = 4;
+const ORDER_MIN_ITEMS = 3;
+export const ORDER_TIME_LIMIT = 40;
+export const GEO_TIME_LIMIT = 30;
+const EARTH_RADIUS_KM = 6371;
+const GEO_PERFECT_KM = 300;   // full points under this distance
+const GEO_ZERO_KM = 5000;     // no points beyond this distance
+const QUESTION_TYPES = ["year", "location", "creator", "first"];
+
+// Fisher–Yates on a copy
+export function shuffle(items, random = Math.random) {
+  const copy = items.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+// Shuffle the correct answer among its distractors and record its index
+function buildOptions(correct, distractors, random) {
+  const picked = shuffle(unique(distractors.filter((value) => value !== correct)), random).slice(0, OPTION_COUNT - 1);
+  if (picked.length === 0) return null;
+  const options = shuffle([correct, ...picked], random);
+  return { options: options.map(String), correct: options.indexOf(correct) };
+}
+
+// Years of the other events, padded with nearby years for small decks
+function yearDistractors(event, events, random) {
+  const years = unique(events.map((other) => other.year).filter((year) => year !== event.year));
+  let offset = 1;
+  while (years.length < OPTION_COUNT - 1) {
+    const delta = (5 + Math.floor(random() * 10)) * offset;
+    const candidate = event.year + (offset % 2 === 0 ? delta : -delta);
+    if (!years.includes(candidate) && candidate !== event.year) years.push(candidate);
+    offset += 1;
+  }
+  return years;
+}
+
+function explanationFor(event, t) {
+  return t("quizgen.explanation", { title: event.title, year: event.year, location: event.location });
+}
+
+const BUILDERS = {
+  year(event, events, t, random) {
+    const built = buildOptions(event.year, yearDistractors(event, events, random), random);
+    return built && { question: t("quizgen.year", { title: event.title }), ...built };
+  },
+  location(event, events, t, random) {
+    const built = buildOptions(event.location, events.map((other) => other.location), random);
+    return built && { question: t("quizgen.location", { title: event.title }), ...built };
+  },
+  creator(event, events, t, random) {
+    if (!event.creator || !event.creation) return null;
+    const built = buildOptions(event.creator, events.filter((other) => other.creator).map((other) => other.creator), random);
+    return built && { question: t("quizgen.creator", { creation: event.creation }), ...built };
+  },
+  first(event, events, t, random) {
+    // Only later events as companions, so this event is the earliest option
+    const later = shuffle(events.filter((other) => other.year > event.year), random);
+    const companions = unique(later.map((other) => other.title)).slice(0, OPTION_COUNT - 1);
+    const built = buildOptions(event.title, companions, random);
+    return built && { question: t("quizgen.first"), ...built };
+  },
+};
+
+// Pick up to four covered events with distinct years and present them out of order
+function buildOrderQuestion(events, covered, t, random) {
+  const byYear = new Map();
+  shuffle(covered, random).forEach((index) => {
+    if (!byYear.has(events[index].year)) byYear.set(events[index].year, index);
+  });
+  const picked = [...byYear.values()].slice(0, ORDER_ITEM_COUNT);
+  if (picked.length < ORDER_MIN_ITEMS) return null;
+
+  const items = picked.map((index) => ({
+    key: String(index),
+    title: events[index].title,
+    year: events[index].year,
+    accent: events[index].accent,
+  }));
+  const solution = items.slice().sort((a, b) => a.year - b.year).map((item) => item.key);
+  let shuffled = shuffle(items, random);
+  while (shuffled.every((item, position) => item.key === solution[position])) {
+    shuffled = shuffle(items, random);
+  }
+
+  return {
+    id: `order-${solution.join("-")}`,
+    type: "order",
+    question: t("quizgen.order"),
+    items: shuffled,
+    solution,
+    timeLimit: ORDER_TIME_LIMIT,
+    explanation: t("quizgen.orderExplanation", {
+      order: solution.map((key) => `${events[key].year} · ${events[key].title}`).join(" → "),
+    }),
+  };
+}
+
+function buildGeoQuestion(events, covered, t, random) {
+  if (covered.length === 0) return null;
+  const index = covered[Math.floor(random() * covered.length)];
+  const event = events[index];
+  return {
+    id: `geo-${index}`,
+    type: "geo",
+    eventIndex: index,
+    question: t("quizgen.geo", { title: event.title }),
+    lon: event.lon,
+    lat: event.lat,
+    timeLimit: GEO_TIME_LIMIT,
+    explanation: explanationFor(event, t),
+  };
+}
+
+export function greatCircleKm(lon1, lat1, lon2, lat2) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLon = rad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Proximity of a globe guess to the answer: ratio 1 when close, 0 when far
+export function scoreGeoGuess(guess, answer) {
+  const distanceKm = greatCircleKm(guess.lon, guess.lat, answer.lon, answer.lat);
+  const ratio = Math.max(0, Math.min(1, 1 - (distanceKm - GEO_PERFECT_KM) / (GEO_ZERO_KM - GEO_PERFECT_KM)));
+  return { distanceKm, ratio, correct: distanceKm <= GEO_PERFECT_KM * 2 };
+}
+
+// Share of items placed at their chronological position (0..1)
+export function scoreOrder(arrangement, solution) {
+  if (solution.length === 0) return 0;
+  const matches = arrangement.filter((key, position) => key === solution[position]).length;
+  return matches / solution.length;
+}
+
+/**
+ * @param {Array} events      localized deck events
+ * @param {Array<number>} indices  events to cover (e.g. the visited ones)
+ * @param {Function} t        i18n translate function
+ */
+export function generateQuiz(events, indices, t, { random = Math.random } = {}) {
+  const covered = unique(indices)
+    .filter((index) => events[index])
+    .sort((a, b) => events[a].year - events[b].year);
+
+  const questions = covered.map((index, position) => {
+    const event = events[index];
+    // Rotate the starting type so consecutive events get different questions
+    for (let attempt = 0; attempt < QUESTION_TYPES.length; attempt++) {
+      const type = QUESTION_TYPES[(position + attempt) % QUESTION_TYPES.length];
+      const built = BUILDERS[type](event, events, t, random);
+      if (built) {
+        return { id: `${type}-${index}`, type, eventIndex: index, explanation: explanationFor(event, t), ...built };
+      }
+    }
+    return null;
+  }).filter(Boolean);
+
+  const geo = buildGeoQuestion(events, covered, t, random);
+  const order = buildOrderQuestion(events, covered, t, random);
+  return [...questions, geo, order].filter(Boolean);
+}
+
+// Hand-written deck questions: unbound ones always, year-bound ones only for covered events
+export function selectDeckQuestions(questions, events, indices) {
+  const years = new Set(indices.map((index) => events[index]?.year));
+  return questions.filter((question) => question.year === undefined || years.has(question.year));
+}
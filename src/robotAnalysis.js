@@ -0,0 +1,103 @@
+/**
+ * Robot analysis — rule-based profile of the future scenarios a player picked.
+ *
+ * Each impact category carries an optimism and a disruption weight; together
+ * with the time horizon (mean year) and how many scenarios were ticked they
+ * select a persona. The analysis is a list of paragraphs, worded through the
+ * i18n catalogs (`robot.*` keys) and quoting the chosen scenarios.
+ */
+
+const IMPACT_WEIGHTS = {
+  positive: { optimism: 1, disruption: 0.2 },
+  neutral: { optimism: 0, disruption: 0.4 },
+  controversial: { optimism: -0.6, disruption: 0.7 },
+  revolutionary: { optimism: 0.4, disruption: 1 },
+};
+
+const NEAR_HORIZON = 2036;
+const FAR_HORIZON = 2044;
+
+export const PERSONAS = ["none", "accelerationist", "optimist", "guardian", "sceptic", "pragmatist"];
+
+// RobotHead expression shown while presenting each persona
+const PERSONA_EXPRESSIONS = {
+  none: "thinking",
+  accelerationist: "surprised",
+  optimist: "happy",
+  guardian: "concerned",
+  sceptic: "thinking",
+  pragmatist: "neutral",
+};
+
+function average(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+export function profileScenarios(selected, all) {
+  const weights = selected.map((scenario) => IMPACT_WEIGHTS[scenario.impact] || IMPACT_WEIGHTS.neutral);
+  const counts = selected.reduce((acc, scenario) => ({ ...acc, [scenario.impact]: (acc[scenario.impact] || 0) + 1 }), {});
+  const years = selected.map((scenario) => scenario.year);
+  return {
+    coverage: all.length ? selected.length / all.length : 0,
+    optimism: average(weights.map((weight) => weight.optimism)),
+    disruption: average(weights.map((weight) => weight.disruption)),
+    meanYear: Math.round(average(years)),
+    firstYear: years.length ? Math.min(...years) : null,
+    lastYear: years.length ? Math.max(...years) : null,
+    counts,
+  };
+}
+
+// Ordered rules: the first matching persona wins
+export function pickPersona(selected, profile) {
+  if (selected.length === 0) return "none";
+  const { coverage, optimism, disruption, meanYear, counts } = profile;
+  if (counts.revolutionary && disruption >= 0.6 && coverage >= 0.6) return "accelerationist";
+  if (counts.controversial && optimism < 0.3) return "guardian";
+  if (optimism >= 0.6 && !counts.controversial) return "optimist";
+  if (coverage <= 0.4 && meanYear <= NEAR_HORIZON) return "sceptic";
+  return "pragmatist";
+}
+
+function horizonKey(profile) {
+  if (profile.lastYear - profile.firstYear >= 15) return "robot.horizon.spread";
+  if (profile.meanYear <= NEAR_HORIZON) return "robot.horizon.near";
+  if (profile.meanYear >= FAR_HORIZON) return "robot.horizon.far";
+  return "robot.horizon.mid";
+}
+
+/**
+ * @param {Array} selected  chosen scenarios (localized)
+ * @param {Array} all       every scenario of the deck
+ * @param {Function} t      i18n translate function
+ * @returns {{ persona: string, expression: string, paragraphs: string[] }}
+ */
+export function analyzePredictions(selected, all, t) {
+  const profile = profileScenarios(selected, all);
+  const persona = pickPersona(selected, profile);
+  if (persona === "none") {
+    return { persona, expression: PERSONA_EXPRESSIONS.none, paragraphs: [t("robot.none")] };
+  }
+
+  const ordered = selected.slice().sort((a, b) => a.year - b.year);
+  const first = ordered[0];
+  const last = ordered[ordered.length - 1];
+  const paragraphs = [t(`robot.persona.${persona}.intro`)];
+
+  paragraphs.push(
+    ordered.length === 1
+      ? t("robot.single", { year: first.year, scenario: first.scenario })
+      : t("robot.range", { firstYear: first.year, first: first.scenario, lastYear: last.year, last: last.scenario, count: ordered.length })
+  );
+
+  paragraphs.push(t(horizonKey(profile), { year: profile.meanYear }));
+
+  const mix = Object.keys(IMPACT_WEIGHTS)
+    .filter((impact) => profile.counts[impact])
+    .map((impact) => t("robot.mixItem", { count: profile.counts[impact], impact: t(`impact.${impact}`) }))
+    .join(", ");
+  paragraphs.push(t("robot.mix", { mix }));
+
+  paragraphs.push(t(`robot.persona.${persona}.advice`));
+  return { persona, expression: PERSONA_EXPRESSIONS[persona], paragraphs };
+}
@@ -0,0 +1,50 @@
+/**
+ * Hash routing (works on GitHub Pages without server rewrites).
+ *
+ *   #/event/1997   → timeline focused on the first event of that year
+ *   #/quiz         → quiz overlay
+ *   #/predictions  → future predictions overlay
+ *   #/edit         → authoring mode (deck editor)
+ *
+ * `?intro=skip` in the query string skips the welcome screen when arriving
+ * through a deep link.
+ */
+
+const MODE_BY_SEGMENT = { quiz: "quiz", predictions: "prediction", edit: "editor" };
+const SEGMENT_BY_MODE = { quiz: "quiz", prediction: "predictions", editor: "edit" };
+
+// Parse a location hash into { mode, year } — year is null outside the timeline
+export function parseHash(hash = "") {
+  const parts = hash.replace(/^#\/?/, "").split("/").filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const [segment, value] = parts;
+  if (segment === "event") {
+    const year = Number.parseInt(value, 10);
+    return Number.isInteger(year) ? { mode: "timeline", year } : null;
+  }
+  if (MODE_BY_SEGMENT[segment]) return { mode: MODE_BY_SEGMENT[segment], year: null };
+  return null;
+}
+
+export function formatHash({ mode, year }) {
+  if (SEGMENT_BY_MODE[mode]) return `#/${SEGMENT_BY_MODE[mode]}`;
+  return `#/event/${year}`;
+}
+
+// Index of the first event matching the route year, or -1
+export function findEventIndex(events, year) {
+  return events.findIndex((event) => event.year === year);
+}
+
+export function shouldSkipIntro(search = typeof window !== "undefined" ? window.location.search : "") {
+  return new URLSearchParams(search).get("intro") === "skip";
+}
+
+// Push a new history entry unless the URL already points there; a missing or
+// unknown hash is replaced so "back" does not land on a route-less entry
+export function pushHash(hash) {
+  if (typeof window === "undefined" || window.location.hash === hash) return;
+  const method = parseHash(window.location.hash) ? "pushState" : "replaceState";
+  window.history[method](null, "", hash);
+}
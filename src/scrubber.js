@@ -0,0 +1,63 @@
+/**
+ * Chronological scrubber — maps years to positions on a proportional bar.
+ *
+ * Ticks and event dots are placed by `year`, so gaps between events are
+ * visible at a glance. While the playhead is dragged, the globe follows the
+ * path between the events surrounding the scrubbed year; on release the
+ * nearest event is selected.
+ */
+
+const TICK_STEPS = [1, 2, 5, 10, 20, 25, 50, 100, 200, 250, 500, 1000];
+const MAX_TICKS = 8;
+
+export function yearRange(events) {
+  const years = events.map((event) => event.year);
+  const min = Math.min(...years);
+  const max = Math.max(...years);
+  // A single-year deck still needs a non-empty bar
+  return min === max ? { min: min - 1, max: max + 1 } : { min, max };
+}
+
+// Year → 0..1 along the bar
+export function yearToPosition(year, { min, max }) {
+  return Math.min(1, Math.max(0, (year - min) / (max - min)));
+}
+
+export function positionToYear(position, { min, max }) {
+  return min + Math.min(1, Math.max(0, position)) * (max - min);
+}
+
+// Round-numbered years between min and max (decades for most decks)
+export function yearTicks({ min, max }) {
+  const step = TICK_STEPS.find((candidate) => (max - min) / candidate <= MAX_TICKS) || TICK_STEPS[TICK_STEPS.length - 1];
+  const ticks = [];
+  for (let year = Math.ceil(min / step) * step; year <= max; year += step) ticks.push(year);
+  return ticks;
+}
+
+// Index of the event closest in time among `indices` (first one on ties)
+export function nearestEventIndex(events, year, indices = events.map((_, index) => index)) {
+  let best = indices[0];
+  indices.forEach((index) => {
+    if (Math.abs(events[index].year - year) < Math.abs(events[best].year - year)) best = index;
+  });
+  return best;
+}
+
+/**
+ * Globe target at `year`: interpolated between the two surrounding events
+ * (longitude takes the short way round), clamped to the first/last event.
+ */
+export function locationAtYear(events, year) {
+  const sorted = events.slice().sort((a, b) => a.year - b.year);
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+  if (year <= first.year) return { lon: first.lon, lat: first.lat };
+  if (year >= last.year) return { lon: last.lon, lat: last.lat };
+  const nextIndex = sorted.findIndex((event) => event.year > year);
+  const from = sorted[nextIndex - 1];
+  const to = sorted[nextIndex];
+  const f = (year - from.year) / (to.year - from.year);
+  const deltaLon = ((to.lon - from.lon + 540) % 360) - 180;
+  return { lon: from.lon + deltaLon * f, lat: from.lat + (to.lat - from.lat) * f };
+}
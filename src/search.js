@@ -0,0 +1,113 @@
+/**
+ * Command palette search — fuzzy, accent-insensitive matching of events and
+ * commands.
+ *
+ * The query is split into words; an event matches when every word is found
+ * in its year (prefix), title or location (fuzzy: letters in order) or text
+ * (exact substring, fuzzy matching on long texts matches almost anything).
+ * Accents and case are ignored, so "evenement" finds "Événement".
+ */
+
+const FIELD_WEIGHTS = { year: 4, title: 3, location: 2, text: 1 };
+const SNIPPET_RADIUS = 60;
+export const MAX_RESULTS = 8;
+
+// Lowercase without diacritics; keeps one character per character of NFC input
+export function normalizeText(text) {
+  return String(text ?? "").normalize("NFC").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+function isWordStart(text, index) {
+  return index === 0 || /[\s\-'’,.(]/.test(text[index - 1]);
+}
+
+/**
+ * Score of `word` against `text` (both normalized), or -1 without a match:
+ * substrings beat scattered letters, word starts beat the middle of a word.
+ */
+export function fuzzyScore(word, text, { substringOnly = false } = {}) {
+  if (!word) return 0;
+  const direct = text.indexOf(word);
+  if (direct >= 0) return 10 + word.length * 2 + (isWordStart(text, direct) ? 5 : 0);
+  if (substringOnly) return -1;
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+  for (const char of word) {
+    const found = text.indexOf(char, from);
+    if (found < 0) return -1;
+    score += 1 + (found === previous + 1 ? 2 : 0) + (isWordStart(text, found) ? 1 : 0);
+    previous = found;
+    from = found + 1;
+  }
+  return score;
+}
+
+function wordsOf(query) {
+  return normalizeText(query).split(/\s+/).filter(Boolean);
+}
+
+// Excerpt of `text` around the first exact match of one of `words`
+function snippetFor(text, words) {
+  const normalized = normalizeText(text);
+  for (const word of words) {
+    const start = normalized.indexOf(word);
+    if (start < 0) continue;
+    const from = Math.max(0, start - SNIPPET_RADIUS);
+    const to = Math.min(text.length, start + word.length + SNIPPET_RADIUS);
+    return {
+      before: `${from > 0 ? "…" : ""}${text.slice(from, start)}`,
+      match: text.slice(start, start + word.length),
+      after: `${text.slice(start + word.length, to)}${to < text.length ? "…" : ""}`,
+    };
+  }
+  return null;
+}
+
+/**
+ * @param {Array} events  localized events
+ * @param {string} query
+ * @returns {Array<{ index: number, score: number, snippet: Object|null }>} best first
+ */
+export function searchEvents(events, query, limit = MAX_RESULTS) {
+  const words = wordsOf(query);
+  if (words.length === 0) return events.slice(0, limit).map((_, index) => ({ index, score: 0, snippet: null }));
+  const results = [];
+  events.forEach((event, index) => {
+    const fields = {
+      year: String(event.year),
+      title: normalizeText(event.title),
+      location: normalizeText(event.location),
+      text: normalizeText(event.text),
+    };
+    let total = 0;
+    for (const word of words) {
+      const best = Math.max(
+        fields.year.startsWith(word) ? (10 + word.length * 2) * FIELD_WEIGHTS.year : -1,
+        ...["title", "location", "text"].map((field) => {
+          const score = fuzzyScore(word, fields[field], { substringOnly: field === "text" });
+          return score < 0 ? -1 : score * FIELD_WEIGHTS[field];
+        })
+      );
+      if (best < 0) return;
+      total += best;
+    }
+    results.push({ index, score: total, snippet: snippetFor(event.text, words) });
+  });
+  return results.sort((a, b) => b.score - a.score || a.index - b.index).slice(0, limit);
+}
+
+// Commands ({ id, label, keywords? }) matching every word of the query, best first
+export function searchCommands(commands, query) {
+  const words = wordsOf(query);
+  if (words.length === 0) return commands;
+  return commands
+    .map((command) => {
+      const haystack = normalizeText(`${command.label} ${command.keywords || ""}`);
+      const scores = words.map((word) => fuzzyScore(word, haystack));
+      return { command, score: scores.some((score) => score < 0) ? -1 : scores.reduce((sum, score) => sum + score, 0) };
+    })
+    .filter(({ score }) => score >= 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ command }) => command);
+}
@@ -0,0 +1,72 @@
+/**
+ * Keyboard shortcuts — a single registry behind one keydown listener.
+ *
+ * Components register groups of shortcuts while mounted (`useShortcuts` in
+ * App.jsx). A shortcut lists its keys, the modes it applies to and a label
+ * for the "?" help overlay:
+ *
+ *   { keys: ["ArrowRight"], modes: ["timeline"], label: "shortcuts.next", run }
+ *
+ * Keys are `KeyboardEvent.key` values ("Home", " ", "n", "?"), "Mod+k" for
+ * Ctrl/⌘+K and DIGIT for 1–9 (`run` receives the digit). Modes follow the
+ * app's `gameMode` plus "welcome", "intro" and "dialog" (leaderboard, help).
+ * Keys typed in a text field are left alone unless the shortcut sets
+ * `inFields`, and so are keys a focused widget already handled. Held keys
+ * only repeat shortcuts that set `repeat`.
+ */
+
+export const DIGIT = "Digit";
+
+function isTyping(target) {
+  return !!target?.closest?.("input, textarea, select, [contenteditable='true']");
+}
+
+export function matchesKey(key, keyboardEvent) {
+  const modifier = keyboardEvent.ctrlKey || keyboardEvent.metaKey || keyboardEvent.altKey;
+  if (key.startsWith("Mod+")) {
+    return (keyboardEvent.ctrlKey || keyboardEvent.metaKey) && keyboardEvent.key.toLowerCase() === key.slice(4).toLowerCase();
+  }
+  if (modifier) return false;
+  if (key === DIGIT) return /^[1-9]$/.test(keyboardEvent.key);
+  return key.length === 1 ? keyboardEvent.key.toLowerCase() === key.toLowerCase() : keyboardEvent.key === key;
+}
+
+// Label of a key for the help overlay ("Mod+k" → "Ctrl K" / "⌘ K")
+export function keyLabel(key, { mac = typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform) } = {}) {
+  if (key.startsWith("Mod+")) return `${mac ? "⌘" : "Ctrl"} ${key.slice(4).toUpperCase()}`;
+  if (key === DIGIT) return "1–9";
+  const names = { ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓", Escape: "Esc" };
+  return names[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+export function createShortcutRegistry() {
+  const groups = new Map();
+
+  // Shortcuts of `mode`, in registration order
+  const active = (mode) => [...groups.values()].flat().filter((shortcut) => shortcut.modes.includes(mode));
+
+  return {
+    set(id, shortcuts) {
+      groups.set(id, shortcuts.filter(Boolean));
+    },
+    remove(id) {
+      groups.delete(id);
+    },
+    active,
+    // Runs the matching shortcut; true when the key was handled
+    handle(keyboardEvent, mode) {
+      if (keyboardEvent.defaultPrevented) return false;
+      const typing = isTyping(keyboardEvent.target);
+      const shortcut = active(mode).find((candidate) =>
+        (!typing || candidate.inFields) &&
+        (!keyboardEvent.repeat || candidate.repeat) &&
+        candidate.enabled !== false &&
+        candidate.keys.some((key) => matchesKey(key, keyboardEvent))
+      );
+      if (!shortcut) return false;
+      keyboardEvent.preventDefault();
+      shortcut.run(shortcut.keys.includes(DIGIT) && /^[1-9]$/.test(keyboardEvent.key) ? Number(keyboardEvent.key) : keyboardEvent);
+      return true;
+    },
+  };
+}
@@ -0,0 +1,37 @@
+/**
+ * Guided tour — autoplay through the events.
+ *
+ * The tour shows every event once starting from the current one: it moves
+ * on when the narration of the event has finished (plus a short pause) or,
+ * with the voice off, after the dwell time. Settings (dwell time, whether the
+ * tour ends on the quiz) persist in localStorage.
+ */
+
+const STORAGE_KEY = "phrise-chrono.tour";
+export const DWELL_MIN = 3;
+export const DWELL_MAX = 30;
+export const PAUSE_AFTER_NARRATION_MS = 1500;
+
+export const DEFAULT_TOUR_SETTINGS = { dwellSeconds: 8, quizAtEnd: true };
+
+export function loadTourSettings() {
+  try {
+    const raw = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "{}");
+    const dwell = Number(raw.dwellSeconds);
+    return {
+      dwellSeconds: Number.isFinite(dwell) ? Math.min(DWELL_MAX, Math.max(DWELL_MIN, dwell)) : DEFAULT_TOUR_SETTINGS.dwellSeconds,
+      quizAtEnd: typeof raw.quizAtEnd === "boolean" ? raw.quizAtEnd : DEFAULT_TOUR_SETTINGS.quizAtEnd,
+    };
+  } catch (_) {
+    return { ...DEFAULT_TOUR_SETTINGS };
+  }
+}
+
+export function saveTourSettings(settings) {
+  try { window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings)); } catch (_) {}
+}
+
+// A new tour: every other event still to show
+export function startTour(eventCount) {
+  return { remaining: Math.max(0, eventCount - 1), paused: false };
+}
@@ -0,0 +1,59 @@
+/**
+ * Narration transcript — every event's sentences as timed subtitle cues.
+ *
+ * Timings are estimated the same way as the word reveal (length and speech
+ * rate), events follow each other separated by the globe transition, so the
+ * file lines up with a screen recording of the full tour. Exported as WebVTT
+ * or SRT.
+ */
+
+import { estimateWordTimings } from "./wordReveal.js";
+
+const SENTENCE_GAP_MS = 150;
+
+/**
+ * @param {Array} events  localized deck events
+ * @param {Object} options
+ * @param {Function} options.split        text → sentences (same split as the narration)
+ * @param {number} [options.rate]         speech rate
+ * @param {number} [options.transitionMs] pause between two events
+ * @returns {Array<{ start: number, end: number, text: string, event: Object }>} times in ms
+ */
+export function buildTranscript(events, { split, rate = 1, transitionMs = 0 }) {
+  const cues = [];
+  let time = 0;
+  events.forEach((event, eventIndex) => {
+    if (eventIndex > 0) time += transitionMs;
+    split(event.text).forEach((text) => {
+      const { duration } = estimateWordTimings(text, rate);
+      cues.push({ start: time, end: time + duration, text, event });
+      time += duration + SENTENCE_GAP_MS;
+    });
+  });
+  return cues;
+}
+
+// 3723004 → "01:02:03.004" (WebVTT) or "01:02:03,004" (SRT)
+export function formatTimestamp(ms, separator = ".") {
+  const total = Math.max(0, Math.round(ms));
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+}
+
+export function toWebVTT(cues, { title } = {}) {
+  const header = title ? `WEBVTT - ${title.replace(/\s*\n\s*/g, " ")}` : "WEBVTT";
+  const blocks = cues.map((cue, index) => {
+    const note = index === 0 || cues[index - 1].event !== cue.event ? `NOTE ${cue.event.year} · ${cue.event.title}\n\n` : "";
+    return `${note}${index + 1}\n${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text}`;
+  });
+  return `${[header, ...blocks].join("\n\n")}\n`;
+}
+
+export function toSRT(cues) {
+  return `${cues
+    .map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start, ",")} --> ${formatTimestamp(cue.end, ",")}\n${cue.text}`)
+    .join("\n\n")}\n`;
+}
@@ -0,0 +1,158 @@
+/**
+ * Word reveal scheduler — drives the word-by-word display of `InfoPanel`.
+ *
+ * Many browsers/voices never fire `onboundary` word events, so each spoken
+ * sentence is also revealed on timers estimated from its length and the
+ * speech rate. Real boundaries, when they arrive, win: the visible word jumps
+ * to the boundary's `charIndex` and the remaining estimates are re-anchored
+ * from there. With narration off, `typewrite` reveals the sentences one after
+ * the other on the same estimates.
+ *
+ * Progress is an array with the number of visible words per sentence.
+ */
+
+const WORDS_PER_MINUTE = 165;
+const AVERAGE_WORD_LENGTH = 5.5; // characters, trailing space included
+const COMMA_PAUSE_MS = 180;
+const SENTENCE_PAUSE_MS = 350;
+const TYPEWRITER_GAP_MS = 400;
+
+export const FULLY_REVEALED = 999;
+
+// Start offset of every word, as produced by `sentence.split(/\s+/)`
+function wordStarts(sentence) {
+  return [...sentence.matchAll(/\S+/g)].map((match) => match.index);
+}
+
+/**
+ * Estimated start time (ms from the sentence start) of each word.
+ * @returns {{ starts: number[], duration: number }}
+ */
+export function estimateWordTimings(sentence, rate = 1) {
+  const msPerChar = 60000 / (WORDS_PER_MINUTE * AVERAGE_WORD_LENGTH) / Math.max(0.1, rate);
+  const starts = [];
+  let time = 0;
+  (sentence.match(/\S+/g) || []).forEach((word) => {
+    starts.push(time);
+    time += (word.length + 1) * msPerChar;
+    if (/[.!?…]$/.test(word)) time += SENTENCE_PAUSE_MS / rate;
+    else if (/[,;:]$/.test(word)) time += COMMA_PAUSE_MS / rate;
+  });
+  return { starts, duration: time };
+}
+
+export function createWordRevealer({ onChange } = {}) {
+  let sentences = [];
+  let progress = [];
+  let current = -1;
+  let rate = 1;
+  let timers = [];
+  // Sentence-relative time of the last anchor (start or boundary) and when it happened
+  let anchor = { offset: 0, at: 0 };
+  let pausedAt = null;
+  let onSentenceDone = null;
+
+  const emit = () => onChange?.(progress.slice());
+  const wordCount = (index) => (sentences[index] ? wordStarts(sentences[index]).length : 0);
+
+  function clearTimers() {
+    timers.forEach(clearTimeout);
+    timers = [];
+  }
+
+  function reveal(index, count) {
+    if (count <= (progress[index] || 0)) return;
+    progress[index] = count;
+    emit();
+  }
+
+  // Schedule the words after the visible ones, counting from `anchor`
+  function schedule() {
+    clearTimers();
+    if (current < 0) return;
+    const { starts, duration } = estimateWordTimings(sentences[current], rate);
+    const now = performance.now();
+    for (let word = progress[current]; word < starts.length; word++) {
+      const delay = Math.max(0, starts[word] - anchor.offset - (now - anchor.at));
+      timers.push(setTimeout(() => reveal(current, word + 1), delay));
+    }
+    if (onSentenceDone) {
+      const done = onSentenceDone;
+      timers.push(setTimeout(done, Math.max(0, duration - anchor.offset - (now - anchor.at))));
+    }
+  }
+
+  return {
+    // New text: every sentence shows its first word
+    load(nextSentences) {
+      clearTimers();
+      sentences = nextSentences.slice();
+      progress = sentences.map(() => 1);
+      current = -1;
+      pausedAt = null;
+      onSentenceDone = null;
+      emit();
+    },
+    // Sentence `index` starts being spoken (earlier ones are complete)
+    startSentence(index, nextRate = rate) {
+      rate = nextRate;
+      current = index;
+      progress = progress.map((count, i) => (i < index ? FULLY_REVEALED : i === index ? 1 : count));
+      anchor = { offset: 0, at: performance.now() };
+      pausedAt = null;
+      emit();
+      schedule();
+    },
+    // Real word boundary from speechSynthesis
+    boundary(index, charIndex) {
+      if (index !== current || pausedAt !== null) return;
+      const starts = wordStarts(sentences[index]);
+      const word = Math.max(0, starts.filter((start) => start <= charIndex).length - 1);
+      reveal(index, word + 1);
+      anchor = { offset: estimateWordTimings(sentences[index], rate).starts[word] || 0, at: performance.now() };
+      schedule();
+    },
+    pause() {
+      if (pausedAt !== null || current < 0) return;
+      clearTimers();
+      pausedAt = performance.now();
+    },
+    resume() {
+      if (pausedAt === null) return;
+      anchor = { offset: anchor.offset + (pausedAt - anchor.at), at: performance.now() };
+      pausedAt = null;
+      schedule();
+    },
+    // Narration off: reveal every sentence in turn
+    typewrite(nextSentences, nextRate = 1) {
+      this.load(nextSentences);
+      const run = (index) => {
+        if (index >= sentences.length) {
+          onSentenceDone = null;
+          return;
+        }
+        onSentenceDone = () => {
+          reveal(index, FULLY_REVEALED);
+          timers.push(setTimeout(() => run(index + 1), TYPEWRITER_GAP_MS));
+        };
+        this.startSentence(index, nextRate);
+      };
+      run(0);
+    },
+    completeAll() {
+      clearTimers();
+      onSentenceDone = null;
+      current = -1;
+      if (progress.some((count, index) => count < wordCount(index))) {
+        progress = progress.map(() => FULLY_REVEALED);
+        emit();
+      }
+    },
+    stop() {
+      clearTimers();
+      onSentenceDone = null;
+      current = -1;
+      pausedAt = null;
+    },
+  };
+}